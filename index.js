@@ -2,13 +2,71 @@
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { z } from "zod";
+import { createHash } from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { readFileSync } from "node:fs";
+import { mkdir, readdir, readFile, rm, stat, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
+import { parseArgs } from "node:util";
+import YAML from "yaml";
 
-const API = {
+const DEFAULT_ENDPOINTS = {
   save: "https://dnd5zrqcec4or.cloudfront.net/Prod/v2/saveAs",
   load: "https://d3knqfixx3sbls.cloudfront.net",
-  manifest: "https://d1qsjq9pzbk1k6.cloudfront.net/manifest/en_US.json",
-  serviceDef: (code) => `https://d1qsjq9pzbk1k6.cloudfront.net/data/${code}/en_US.json`,
-  pricing: (name) => `https://calculator.aws/pricing/2.0/meteredUnitMaps/${name}/USD/current/${name}.json`,
+  data: "https://d1qsjq9pzbk1k6.cloudfront.net",
+  pricing: "https://calculator.aws",
+  app: "https://calculator.aws",
+};
+
+const ENDPOINT_ENV_VARS = {
+  save: "AWS_CALC_SAVE_URL",
+  load: "AWS_CALC_LOAD_URL",
+  data: "AWS_CALC_DATA_URL",
+  pricing: "AWS_CALC_PRICING_URL",
+  app: "AWS_CALC_APP_URL",
+};
+
+// Resolve endpoint base URLs: environment variables win over the "endpoints" section of the
+// JSON config file named by AWS_CALC_CONFIG, which wins over the public calculator.aws hosts
+function resolveEndpoints(env = process.env) {
+  let fileEndpoints = {};
+  if (env.AWS_CALC_CONFIG) {
+    try {
+      fileEndpoints = JSON.parse(readFileSync(env.AWS_CALC_CONFIG, "utf8")).endpoints || {};
+    } catch (e) {
+      throw new Error(`Failed to read config file '${env.AWS_CALC_CONFIG}': ${e.message}`);
+    }
+  }
+  const endpoints = {};
+  for (const [name, fallback] of Object.entries(DEFAULT_ENDPOINTS)) {
+    const url = env[ENDPOINT_ENV_VARS[name]] || fileEndpoints[name] || fallback;
+    endpoints[name] = url.replace(/\/+$/, "");
+  }
+  return endpoints;
+}
+
+// A broken AWS_CALC_CONFIG is reported at startup (exit code 2) rather than thrown while the module loads
+let configError = null;
+const ENDPOINTS = (() => {
+  try {
+    return resolveEndpoints();
+  } catch (e) {
+    configError = e;
+    return resolveEndpoints({ ...process.env, AWS_CALC_CONFIG: "" });
+  }
+})();
+
+const API = {
+  save: ENDPOINTS.save,
+  load: ENDPOINTS.load,
+  manifest: (locale = "en_US") => `${ENDPOINTS.data}/manifest/${locale}.json`,
+  serviceDef: (code, locale = "en_US") => `${ENDPOINTS.data}/data/${code}/${locale}.json`,
+  pricing: (name, currency = "USD") => `${ENDPOINTS.pricing}/pricing/2.0/meteredUnitMaps/${name}/${currency}/current/${name}.json`,
+  // mappingDefinitionURLs in service definitions are relative to the pricing host
+  mapping: (relativeUrl) => `${ENDPOINTS.pricing}/${relativeUrl.replace(/^\/+/, "")}`,
+  estimateLink: (id) => `${ENDPOINTS.app}/#/estimate?id=${id}`,
 };
 
 const REGION_NAMES = {
@@ -18,6 +76,7 @@ const REGION_NAMES = {
   "us-west-2": "US West (Oregon)",
   "af-south-1": "Africa (Cape Town)",
   "ap-east-1": "Asia Pacific (Hong Kong)",
+  "ap-east-2": "Asia Pacific (Taipei)",
   "ap-south-1": "Asia Pacific (Mumbai)",
   "ap-south-2": "Asia Pacific (Hyderabad)",
   "ap-southeast-1": "Asia Pacific (Singapore)",
@@ -25,6 +84,7 @@ const REGION_NAMES = {
   "ap-southeast-3": "Asia Pacific (Jakarta)",
   "ap-southeast-4": "Asia Pacific (Melbourne)",
   "ap-southeast-5": "Asia Pacific (Malaysia)",
+  "ap-southeast-6": "Asia Pacific (New Zealand)",
   "ap-southeast-7": "Asia Pacific (Thailand)",
   "ap-northeast-1": "Asia Pacific (Tokyo)",
   "ap-northeast-2": "Asia Pacific (Seoul)",
@@ -44,6 +104,8 @@ const REGION_NAMES = {
   "me-central-1": "Middle East (UAE)",
   "sa-east-1": "South America (Sao Paulo)",
   "mx-central-1": "Mexico (Central)",
+  "us-gov-east-1": "AWS GovCloud (US-East)",
+  "us-gov-west-1": "AWS GovCloud (US-West)",
 };
 
 // Redirect legacy service codes to loader parents for sub-definition resolution
@@ -51,28 +113,473 @@ const SERVICE_REDIRECTS = {
   amazonS3: "amazonSimpleStorageServiceGroup",
 };
 
+// Currencies the estimate can be saved and formatted in
+const CURRENCY_SYMBOLS = {
+  USD: "$",
+  EUR: "€",
+  GBP: "£",
+  JPY: "¥",
+  INR: "₹",
+  AUD: "A$",
+  CAD: "C$",
+  CHF: "CHF ",
+  CNY: "CN¥",
+  KRW: "₩",
+  BRL: "R$",
+  SGD: "S$",
+};
+const CURRENCY_CODES = Object.keys(CURRENCY_SYMBOLS);
+
+function formatMoney(amount, currency = "USD") {
+  const symbol = CURRENCY_SYMBOLS[currency] ?? `${currency} `;
+  return `${symbol}${(Number(amount) || 0).toFixed(2)}`;
+}
+
+function formatDelta(amount, currency = "USD") {
+  const value = Number(amount) || 0;
+  const sign = value > 0 ? "+" : value < 0 ? "-" : "±";
+  return `${sign}${formatMoney(Math.abs(value), currency)}`;
+}
+
+// One breakdown line as text, e.g. "Requests: 9,000,000 × $0.0000002 = $1.80/mo"
+function formatBreakdownLine(line, currency = "USD") {
+  const label = [line.service, line.label].filter(Boolean).join(" › ");
+  const suffix = line.costType === "Upfront" ? " upfront" : "/mo";
+  const symbol = CURRENCY_SYMBOLS[currency] ?? `${currency} `;
+  const calc = line.quantity != null && line.unitPrice != null
+    ? `${line.quantity.toLocaleString("en-US", { maximumFractionDigits: 4 })} × ${symbol}${line.unitPrice.toLocaleString("en-US", { maximumSignificantDigits: 6 })} = `
+    : "";
+  return `${label}: ${calc}${formatMoney(line.subtotal, currency)}${suffix}`;
+}
+
+function currencyFallbackWarning(pricingByDef, currency) {
+  const names = pricingByDef.__currencyFallbacks;
+  if (!names?.length) return null;
+  return `Pricing for ${names.join(", ")} is not published in ${currency}; USD prices were used.`;
+}
+
+// Locales the calculator publishes manifests and service definitions in
+const LOCALES = ["en_US", "de_DE", "es_ES", "fr_FR", "it_IT", "ja_JP", "ko_KR", "pt_BR", "id_ID", "zh_CN", "zh_TW"];
+
 const FILE_SIZE_TO_GB = { KB: 1 / (1024 * 1024), MB: 1 / 1024, GB: 1, TB: 1024 };
 const FREQ_TO_MONTH = { "per second": 2592000, "per minute": 43200, "per hour": 720, "per day": 30, "per week": 30 / 7, "per month": 1, "per year": 1 / 12, perSecond: 2592000, perMinute: 43200, perHour: 720, perDay: 30, perWeek: 30 / 7, perMonth: 1, perYear: 1 / 12, millionPerMonth: 1e6, thousandPerMonth: 1e3, billionPerMonth: 1e9, hundredThousandPerMonth: 1e5, millionPerDay: 1e6 * 30, thousandPerDay: 1e3 * 30, millionPerHour: 1e6 * 720, thousandPerHour: 1e3 * 720 };
 const DURATION_TO_HOURS = { sec: 1 / 3600, min: 1 / 60, hr: 1, day: 24, week: 168, month: 730 };
 const THROUGHPUT_TO_MBPS = { kbps: 1 / 1024, mbps: 1, gbps: 1024 };
 
-let manifestCache = null;
+const manifestCache = {}; // locale → { promise, fetchedAt }
 const pricingCache = {};
 
+function warnOnStderr(message) {
+  process.stderr.write(`${message}\n`);
+}
+
+// Numeric setting from an environment variable. A value below min (or not an integer when integer is set)
+// is reported on stderr (stdout carries the MCP protocol) and the default is used.
+function numericSetting(name, fallback, { min = 0, integer = false, expected }, env = process.env, warn = warnOnStderr) {
+  const raw = env[name];
+  if (raw == null || String(raw).trim() === "") return fallback;
+  const value = Number(raw);
+  if (Number.isFinite(value) && value >= min && (!integer || Number.isInteger(value))) return value;
+  warn(`aws-calculator-mcp: ignoring ${name}=${JSON.stringify(raw)}; expected ${expected}. Using ${fallback}.`);
+  return fallback;
+}
+
+// Cache lifetime from an environment variable; 0 is valid (always revalidate)
+function cacheTtlSetting(name, fallback, env = process.env, warn = warnOnStderr) {
+  return numericSetting(name, fallback, { min: 0, expected: "a number of seconds >= 0" }, env, warn);
+}
+
+// Per-resource cache lifetimes in seconds (override with AWS_CALC_CACHE_TTL_<KIND>)
+const CACHE_TTL_SECONDS = {
+  manifest: cacheTtlSetting("AWS_CALC_CACHE_TTL_MANIFEST", 24 * 3600),
+  definition: cacheTtlSetting("AWS_CALC_CACHE_TTL_DEFINITION", 24 * 3600),
+  pricing: cacheTtlSetting("AWS_CALC_CACHE_TTL_PRICING", 6 * 3600),
+};
+const CACHE_KINDS = Object.keys(CACHE_TTL_SECONDS);
+
+// Persistent on-disk cache shared across sessions (AWS_CALC_CACHE_DIR=<directory>, AWS_CALC_CACHE=off to disable)
+const diskCache = {
+  enabled: process.env.AWS_CALC_CACHE !== "off",
+  dir: process.env.AWS_CALC_CACHE_DIR || path.join(os.homedir(), ".cache", "aws-calculator-mcp"),
+};
+
+// HTTP client settings from AWS_CALC_HTTP_TIMEOUT_MS, AWS_CALC_HTTP_RETRIES and AWS_CALC_HTTP_CONCURRENCY.
+// A NaN retry count would retry forever and a concurrency below 1 would never start a request, so both are checked.
+function httpSettings(env = process.env, warn = warnOnStderr) {
+  return {
+    timeoutMs: numericSetting("AWS_CALC_HTTP_TIMEOUT_MS", 60000, { min: 1, integer: true, expected: "an integer number of milliseconds >= 1" }, env, warn),
+    retries: numericSetting("AWS_CALC_HTTP_RETRIES", 3, { min: 0, integer: true, expected: "an integer >= 0" }, env, warn),
+    concurrency: numericSetting("AWS_CALC_HTTP_CONCURRENCY", 6, { min: 1, integer: true, expected: "an integer >= 1" }, env, warn),
+  };
+}
+
+// Shared HTTP client settings
+const httpConfig = { ...httpSettings(), backoffMs: 250 };
+const httpSlots = { active: 0, waiting: [] };
+
+// Carries the MCP request's AbortSignal to every HTTP call made while handling a tool call
+const requestContext = new AsyncLocalStorage();
+
+function withRequestSignal(handler) {
+  return (args, extra) => requestContext.run({ signal: extra?.signal }, () => handler(args, extra));
+}
+
+function configureHttp(overrides = {}) {
+  Object.assign(httpConfig, overrides);
+}
+
+// Record/replay of all calculator.aws traffic for offline use
+// (AWS_CALC_FIXTURE_MODE=record|replay, AWS_CALC_FIXTURE_DIR=<directory>)
+const fixtures = {
+  mode: process.env.AWS_CALC_FIXTURE_MODE || null,
+  dir: process.env.AWS_CALC_FIXTURE_DIR || "fixtures",
+};
+
+function setFixtureMode(mode, dir) {
+  if (mode && mode !== "record" && mode !== "replay") {
+    throw new Error(`Unknown fixture mode '${mode}' (expected 'record' or 'replay')`);
+  }
+  fixtures.mode = mode || null;
+  if (dir) fixtures.dir = dir;
+}
+
+// Fixtures are keyed by method + URL only: save payloads embed random keys and timestamps,
+// so a replayed save returns the last recorded response for that endpoint
+function fixturePath(method, url) {
+  const { hostname, pathname } = new URL(url);
+  const slug = `${hostname}${pathname}`.replace(/[^a-zA-Z0-9.-]+/g, "_").slice(-80);
+  const hash = createHash("sha256").update(`${method} ${url}`).digest("hex").slice(0, 12);
+  return path.join(fixtures.dir, `${method.toLowerCase()}_${slug}_${hash}.json`);
+}
+
+function fixtureResponse(fixture) {
+  return new Response(fixture.body || null, {
+    status: fixture.status,
+    statusText: fixture.statusText,
+    headers: fixture.headers,
+  });
+}
+
+async function acquireHttpSlot() {
+  if (httpSlots.active < httpConfig.concurrency) {
+    httpSlots.active++;
+    return;
+  }
+  // The releasing request hands its slot straight to the next waiter
+  await new Promise((resolve) => httpSlots.waiting.push(resolve));
+}
+
+function releaseHttpSlot() {
+  const next = httpSlots.waiting.shift();
+  if (next) next();
+  else httpSlots.active--;
+}
+
+// Throttling is always retryable; 5xx only for idempotent requests, since a failed save may still have been stored
+function isRetryableStatus(status, method) {
+  if (status === 429) return true;
+  return status >= 500 && (method === "GET" || method === "HEAD");
+}
+
+// Retry-After is either a number of seconds or an HTTP date; either way the wait is capped at 10 seconds
+function retryDelayMs(attempt, resp) {
+  const header = resp?.headers.get("retry-after");
+  const seconds = Number(header);
+  const untilDate = header && !Number.isFinite(seconds) ? Date.parse(header) - Date.now() : NaN;
+  const retryAfterMs = Number.isFinite(seconds) ? seconds * 1000 : untilDate;
+  if (Number.isFinite(retryAfterMs) && retryAfterMs > 0) return Math.min(retryAfterMs, 10000);
+  return httpConfig.backoffMs * 2 ** attempt + Math.random() * httpConfig.backoffMs;
+}
+
+// Fetch with a per-attempt timeout, exponential backoff on 429/5xx and network errors, and a global
+// concurrency cap. The body is buffered inside the attempt so the timeout also covers slow downloads.
+async function fetchWithRetry(url, init = {}) {
+  const {
+    timeoutMs = httpConfig.timeoutMs,
+    retries = httpConfig.retries,
+    signal = requestContext.getStore()?.signal,
+    ...fetchInit
+  } = init;
+  const method = (fetchInit.method || "GET").toUpperCase();
+
+  for (let attempt = 0; ; attempt++) {
+    signal?.throwIfAborted();
+    await acquireHttpSlot();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error(`Timed out after ${timeoutMs}ms fetching ${url}`)), timeoutMs);
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    let resp = null;
+    let error = null;
+    try {
+      const r = await fetch(url, { ...fetchInit, signal: controller.signal });
+      const body = await r.arrayBuffer();
+      resp = new Response(body.byteLength > 0 ? body : null, { status: r.status, statusText: r.statusText, headers: r.headers });
+    } catch (e) {
+      error = controller.signal.aborted ? controller.signal.reason : e;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      releaseHttpSlot();
+    }
+
+    signal?.throwIfAborted();
+    const retryable = error ? method === "GET" || method === "HEAD" : isRetryableStatus(resp.status, method);
+    if (!retryable || attempt >= retries) {
+      if (error) throw error;
+      return resp;
+    }
+    await sleep(retryDelayMs(attempt, resp), undefined, { signal });
+  }
+}
+
+// Single entry point for every HTTP request so record/replay sees all traffic
+async function httpFetch(url, init = {}) {
+  const method = (init.method || "GET").toUpperCase();
+  if (fixtures.mode === "replay") {
+    const file = fixturePath(method, url);
+    let fixture;
+    try {
+      fixture = JSON.parse(await readFile(file, "utf8"));
+    } catch {
+      throw new Error(`No recorded fixture for ${method} ${url} (expected ${file})`);
+    }
+    return fixtureResponse(fixture);
+  }
+
+  const resp = await fetchWithRetry(url, init);
+  if (fixtures.mode !== "record") return resp;
+
+  const fixture = {
+    method,
+    url,
+    status: resp.status,
+    statusText: resp.statusText,
+    headers: { "content-type": resp.headers.get("content-type") || "application/json" },
+    body: await resp.clone().text(),
+  };
+  await mkdir(fixtures.dir, { recursive: true });
+  await writeFile(fixturePath(method, url), JSON.stringify(fixture));
+  return fixtureResponse(fixture);
+}
+
 async function fetchJSON(url) {
-  const r = await fetch(url);
-  if (!r.ok) throw new Error(`${r.status} fetching ${url}`);
+  const r = await httpFetch(url);
+  if (!r.ok) throw Object.assign(new Error(`${r.status} fetching ${url}`), { status: r.status });
   return r.json();
 }
 
-async function getManifest() {
-  if (!manifestCache) {
-    manifestCache = fetchJSON(API.manifest).catch(e => {
-      manifestCache = null;
-      throw e;
-    });
+function configureDiskCache({ enabled, dir, ttlSeconds } = {}) {
+  if (enabled != null) diskCache.enabled = enabled;
+  if (dir) diskCache.dir = dir;
+  if (ttlSeconds) Object.assign(CACHE_TTL_SECONDS, ttlSeconds);
+}
+
+function cacheEntryPath(kind, url) {
+  const hash = createHash("sha256").update(url).digest("hex").slice(0, 24);
+  return path.join(diskCache.dir, kind, `${hash}.json`);
+}
+
+async function readCacheEntry(file) {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+async function writeCacheEntry(file, entry) {
+  try {
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, JSON.stringify(entry));
+  } catch { /* cache is best-effort */ }
+}
+
+// Fetch JSON through the on-disk cache: fresh entries are served directly, stale entries are
+// revalidated with ETag/If-Modified-Since, and a stale entry is still served if the refresh fails
+async function cachedFetchJSON(url, kind) {
+  // Record/replay must see every request, so it bypasses the cache
+  if (!diskCache.enabled || fixtures.mode) return fetchJSON(url);
+
+  const file = cacheEntryPath(kind, url);
+  const entry = await readCacheEntry(file);
+  if (entry && Date.now() - entry.fetchedAt < CACHE_TTL_SECONDS[kind] * 1000) return entry.body;
+
+  const headers = {};
+  if (entry?.etag) headers["If-None-Match"] = entry.etag;
+  if (entry?.lastModified) headers["If-Modified-Since"] = entry.lastModified;
+  let r;
+  try {
+    r = await httpFetch(url, { headers });
+  } catch (e) {
+    if (entry) return entry.body;
+    throw e;
+  }
+  if (r.status === 304 && entry) {
+    await writeCacheEntry(file, { ...entry, fetchedAt: Date.now() });
+    return entry.body;
+  }
+  if (!r.ok) {
+    if (entry && r.status >= 500) return entry.body;
+    throw Object.assign(new Error(`${r.status} fetching ${url}`), { status: r.status });
+  }
+  const body = await r.json();
+  await writeCacheEntry(file, {
+    url,
+    kind,
+    fetchedAt: Date.now(),
+    etag: r.headers.get("etag"),
+    lastModified: r.headers.get("last-modified"),
+    body,
+  });
+  return body;
+}
+
+function fetchServiceDef(serviceCode, locale = "en_US") {
+  return cachedFetchJSON(API.serviceDef(serviceCode, locale), "definition");
+}
+
+// In-memory pricing entries expire with the same TTL as the on-disk pricing cache
+function getCachedPricing(cacheKey) {
+  const entry = pricingCache[cacheKey];
+  if (entry && Date.now() - entry.fetchedAt < CACHE_TTL_SECONDS.pricing * 1000) return entry.priceMap;
+  return null;
+}
+
+function setCachedPricing(cacheKey, priceMap) {
+  pricingCache[cacheKey] = { priceMap, fetchedAt: Date.now() };
+}
+
+async function inspectCache(kind) {
+  const kinds = kind ? [kind] : CACHE_KINDS;
+  const result = { dir: diskCache.dir, enabled: diskCache.enabled, kinds: {} };
+  for (const k of kinds) {
+    const summary = { ttlSeconds: CACHE_TTL_SECONDS[k], entries: 0, fresh: 0, stale: 0, bytes: 0, oldest: null, newest: null, urls: [] };
+    let files = [];
+    try {
+      files = await readdir(path.join(diskCache.dir, k));
+    } catch { /* nothing cached yet */ }
+    for (const f of files) {
+      const file = path.join(diskCache.dir, k, f);
+      const entry = await readCacheEntry(file);
+      if (!entry) continue;
+      summary.entries++;
+      summary.bytes += (await stat(file)).size;
+      if (Date.now() - entry.fetchedAt < CACHE_TTL_SECONDS[k] * 1000) summary.fresh++;
+      else summary.stale++;
+      const fetchedOn = new Date(entry.fetchedAt).toISOString();
+      if (!summary.oldest || fetchedOn < summary.oldest) summary.oldest = fetchedOn;
+      if (!summary.newest || fetchedOn > summary.newest) summary.newest = fetchedOn;
+      summary.urls.push(entry.url);
+    }
+    result.kinds[k] = summary;
+  }
+  return result;
+}
+
+async function purgeCache(kind) {
+  const kinds = kind ? [kind] : CACHE_KINDS;
+  let removed = 0;
+  for (const k of kinds) {
+    try {
+      removed += (await readdir(path.join(diskCache.dir, k))).length;
+    } catch { /* nothing cached */ }
+    await rm(path.join(diskCache.dir, k), { recursive: true, force: true });
+  }
+  if (kinds.includes("manifest")) {
+    for (const key of Object.keys(manifestCache)) delete manifestCache[key];
+  }
+  if (kinds.includes("pricing")) {
+    for (const key of Object.keys(pricingCache)) delete pricingCache[key];
+  }
+  return { removed, kinds };
+}
+
+async function getManifest(locale = "en_US") {
+  const cached = manifestCache[locale];
+  if (!cached || Date.now() - cached.fetchedAt >= CACHE_TTL_SECONDS.manifest * 1000) {
+    manifestCache[locale] = {
+      fetchedAt: Date.now(),
+      promise: cachedFetchJSON(API.manifest(locale), "manifest").catch(e => {
+        delete manifestCache[locale];
+        throw e;
+      }),
+    };
+  }
+  return manifestCache[locale].promise;
+}
+
+// Region codes mapped to display names: every region the manifest lists a service in, plus REGION_NAMES.
+// Names come from the manifest's regionNames where it has them; the display name is also the pricing map key,
+// so a region neither source names maps to null rather than to its code.
+function manifestRegionNames(manifest) {
+  const names = {};
+  for (const s of manifest?.awsServices || []) {
+    for (const code of s.regions || []) names[code] = null;
+  }
+  for (const code of [...Object.keys(names), ...Object.keys(REGION_NAMES)]) {
+    names[code] = manifest?.regionNames?.[code] || REGION_NAMES[code] || null;
+  }
+  return names;
+}
+
+// Display name for a region code, or null for an unknown or unnamed region. Works without the manifest.
+async function lookupRegionName(region, locale = "en_US") {
+  const manifest = await getManifest(locale).catch(() => null);
+  return manifestRegionNames(manifest)[region] || null;
+}
+
+// Regions a service is offered in according to the manifest, or null when the manifest doesn't say
+async function serviceRegions(serviceCode, locale = "en_US") {
+  const manifest = await getManifest(locale);
+  const codes = [serviceCode, SERVICE_REDIRECTS[serviceCode]].filter(Boolean);
+  const entry = manifest.awsServices?.find((s) => codes.includes(s.serviceCode));
+  return Array.isArray(entry?.regions) && entry.regions.length > 0 ? new Set(entry.regions) : null;
+}
+
+// Known regions with their names and how many services the manifest offers in each.
+// With a serviceCode, only the regions that service is offered in.
+async function listRegions(locale = "en_US", serviceCode = null) {
+  const manifest = await getManifest(locale);
+  const names = manifestRegionNames(manifest);
+  const counts = {};
+  for (const s of manifest.awsServices || []) {
+    for (const code of s.regions || []) counts[code] = (counts[code] || 0) + 1;
+  }
+  let codes = Object.keys(names);
+  if (serviceCode) {
+    const offered = await serviceRegions(serviceCode, locale);
+    if (!offered) throw new Error(`The manifest has no region list for ${serviceCode}. Check the service code with search_services.`);
+    codes = [...offered];
+  }
+  return codes
+    .sort()
+    .map((code) => ({ code, name: names[code] || code, services: counts[code] || 0 }));
+}
+
+// Why a service can't be priced in a region, or null when it can (or the manifest can't be loaded to tell)
+async function regionProblem(serviceCode, region, locale = "en_US") {
+  let manifest;
+  try {
+    manifest = await getManifest(locale);
+  } catch {
+    return null;
+  }
+  const names = manifestRegionNames(manifest);
+  if (!(region in names)) {
+    const suggestions = closestMatches(region, Object.keys(names));
+    return `Unknown region '${region}'.${suggestions.length ? ` Did you mean: ${suggestions.join(", ")}?` : ""} Use list_regions for region codes.`;
+  }
+  // Pricing maps are keyed by display name, so a region without one would come out as zero
+  if (!names[region]) {
+    return `Region '${region}' has no display name in the calculator manifest yet, so its prices can't be looked up.`;
+  }
+  const offered = await serviceRegions(serviceCode, locale);
+  if (offered && !offered.has(region)) {
+    return `${serviceCode} is not offered in ${region} (${names[region]}). Available in: ${[...offered].sort().join(", ")}.`;
   }
-  return manifestCache;
+  return null;
 }
 
 // Extract input fields from a service definition's templates (fully recursive)
@@ -152,6 +659,228 @@ function extractInputs(def, templateId) {
   return inputs;
 }
 
+// Load a service definition and the input fields of the template that will be priced.
+// Loader layouts (S3, ELB, DynamoDB) take their inputs from the selected sub-definition.
+async function loadServiceInputs(serviceCode, templateId = null, locale = "en_US") {
+  const def = await fetchServiceDef(serviceCode, locale);
+  let activeTemplateId = templateId || def.templates?.[0]?.id || null;
+  let inputs = extractInputs(def, activeTemplateId);
+
+  if (def.layout === "loader" && Array.isArray(def.templates) && typeof def.templates[0] === "string") {
+    const tmplCode = templateId || def.defaultTemplates?.[0] || def.templates[0];
+    activeTemplateId = tmplCode;
+    try {
+      const tmplDef = await fetchServiceDef(tmplCode, locale);
+      inputs = extractInputs(tmplDef);
+    } catch { /* use empty inputs */ }
+  }
+  return { def, templateId: activeTemplateId, inputs };
+}
+
+// Common abbreviations and nicknames, expanded to the words the manifest uses
+const SEARCH_ALIASES = {
+  elb: "elastic load balancing",
+  alb: "application load balancer",
+  nlb: "network load balancer",
+  eks: "elastic kubernetes service",
+  k8s: "kubernetes",
+  ecs: "elastic container service",
+  ecr: "elastic container registry",
+  ebs: "elastic block store",
+  efs: "elastic file system",
+  rds: "relational database service",
+  postgres: "postgresql",
+  pg: "postgresql",
+  mssql: "sql server",
+  ddb: "dynamodb",
+  dynamo: "dynamodb",
+  sqs: "simple queue service",
+  sns: "simple notification service",
+  ses: "simple email service",
+  kms: "key management service",
+  vpc: "virtual private cloud",
+  apigw: "api gateway",
+  cdn: "cloudfront",
+  elasticsearch: "opensearch",
+  redis: "elasticache",
+  memcached: "elasticache",
+  msk: "managed streaming for apache kafka",
+  kafka: "managed streaming for apache kafka",
+  sfn: "step functions",
+  acm: "certificate manager",
+  iot: "iot core",
+  r53: "route 53",
+  dns: "route 53",
+};
+
+const SEARCH_STOPWORDS = new Set(["amazon", "aws", "for", "and", "of", "the"]);
+
+function searchWords(text) {
+  return normalizeLabel(text).replace(/[^\p{L}\p{N}]+/gu, " ").trim().split(" ").filter(Boolean);
+}
+
+// Query variants: the query itself plus one with every known alias expanded
+function queryVariants(query) {
+  const words = searchWords(query);
+  const expanded = words.flatMap((w) => (SEARCH_ALIASES[w] ? searchWords(SEARCH_ALIASES[w]) : [w]));
+  const variants = [{ words, weight: 1 }];
+  if (expanded.join(" ") !== words.join(" ")) variants.push({ words: expanded, weight: 0.95 });
+  return variants;
+}
+
+// How well one query word matches a service, 0–100
+function wordScore(word, fields) {
+  if (word === fields.code || word === fields.acronym) return 100;
+  if (fields.words.includes(word)) return 85;
+  if (fields.words.some((w) => w.startsWith(word))) return 75;
+  if (fields.keywordWords.includes(word)) return 70;
+  if (fields.code.includes(word)) return 65;
+  if (fields.name.includes(word)) return 60;
+  if (fields.keywords.includes(word)) return 50;
+  // Typo tolerance: one edit for 4–5 letter words, two for longer ones
+  const allowed = word.length >= 6 ? 2 : word.length >= 4 ? 1 : 0;
+  if (allowed === 0) return 0;
+  let best = Infinity;
+  for (const candidate of [...fields.words, ...fields.keywordWords]) {
+    if (Math.abs(candidate.length - word.length) > allowed) continue;
+    best = Math.min(best, editDistance(word, candidate));
+  }
+  return best <= allowed ? 40 - 10 * (best - 1) : 0;
+}
+
+// Relevance of a manifest entry for a query, 0–100 (0 = no match). Every query word must match.
+function scoreService(variants, service) {
+  const name = normalizeLabel(service.name);
+  const words = searchWords(service.name);
+  const significant = words.filter((w) => !SEARCH_STOPWORDS.has(w));
+  const keywordWords = (service.searchKeywords || []).flatMap(searchWords);
+  const fields = {
+    name,
+    words,
+    code: normalizeLabel(service.serviceCode),
+    acronym: significant.length > 1 ? significant.map((w) => w[0]).join("") : null,
+    keywords: normalizeLabel((service.searchKeywords || []).join(" ")),
+    keywordWords,
+  };
+
+  let best = 0;
+  for (const { words: queryWords, weight } of variants) {
+    if (queryWords.length === 0) continue;
+    let score;
+    if (queryWords.join(" ") === significant.join(" ") || queryWords.join("") === fields.code) {
+      score = 100;
+    } else {
+      const scores = queryWords.map((w) => wordScore(w, fields));
+      score = scores.every((s) => s > 0) ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
+    }
+    best = Math.max(best, score * weight);
+  }
+  return Math.round(best);
+}
+
+// Rank manifest services for a query. Returns { total, offset, limit, results } with a score on each result.
+// With a region, services the manifest lists as not offered there are left out.
+async function searchServices(query, locale = "en_US", { limit = 15, offset = 0, region = null } = {}) {
+  const manifest = await getManifest(locale);
+  const variants = queryVariants(query);
+  const ranked = manifest.awsServices
+    .filter((s) => !region || !s.regions?.length || s.regions.includes(region))
+    .map((s, index) => ({ s, index, score: scoreService(variants, s) }))
+    .filter(({ score }) => score > 0)
+    // Best score first; among equals prefer shorter (more general) names, then manifest order
+    .sort((a, b) => (b.score - a.score) || (a.s.name.trim().length - b.s.name.trim().length) || (a.index - b.index));
+  const results = ranked.slice(offset, offset + limit).map(({ s, score }) => ({
+    name: s.name.trim(),
+    serviceCode: s.serviceCode,
+    slug: s.slug || null,
+    regions: s.regions?.length || 0,
+    score,
+  }));
+  return { total: ranked.length, offset, limit, results };
+}
+
+// Input schema for a service, including loader templates and subServices
+async function getServiceSchema(serviceCode, locale = "en_US") {
+  const def = await fetchServiceDef(serviceCode, locale);
+  let inputs = extractInputs(def);
+  const result = {
+    serviceName: def.serviceName,
+    serviceCode: def.serviceCode,
+    version: def.version,
+    layout: def.layout,
+    locale,
+    templates: [],
+    subServices: [],
+    inputs,
+  };
+
+  // Handle loader layout: templates are string IDs referencing separate service definitions
+  if (def.layout === "loader" && Array.isArray(def.templates) && typeof def.templates[0] === "string") {
+    result.templates = def.templates.map(id => ({ id, title: id }));
+    result.loaderTemplates = [];
+    for (const tmplCode of def.templates) {
+      try {
+        const tmplDef = await fetchServiceDef(tmplCode, locale);
+        const tmplInputs = extractInputs(tmplDef);
+        result.loaderTemplates.push({
+          serviceCode: tmplCode,
+          serviceName: tmplDef.serviceName,
+          inputs: tmplInputs,
+          jsonSchema: inputsToJsonSchema(tmplInputs),
+        });
+      } catch { /* skip */ }
+    }
+    // Use inputs from default template if main def has none
+    if (inputs.length === 0 && result.loaderTemplates.length > 0) {
+      const defaultCode = def.defaultTemplates?.[0];
+      const defaultTmpl = result.loaderTemplates.find(t => t.serviceCode === defaultCode) || result.loaderTemplates[0];
+      result.inputs = defaultTmpl.inputs;
+    }
+  } else {
+    result.templates = (def.templates || []).map(t => ({ id: t.id, title: t.title }));
+  }
+  
+  // Note for loader layout
+  if (def.layout === "loader" && result.inputs.length === 0) {
+    result.note = "This service uses dynamic loading (layout: 'loader'). calculationComponents cannot be auto-populated and should be omitted when creating estimates.";
+  }
+  
+  // Fetch subService schemas if they exist
+  if (def.subServices?.length) {
+    for (const sub of def.subServices) {
+      try {
+        const subDef = await fetchServiceDef(sub.serviceCode, locale);
+        const subInputs = extractInputs(subDef);
+        result.subServices.push({
+          serviceCode: sub.serviceCode,
+          serviceName: subDef.serviceName,
+          version: subDef.version,
+          inputs: subInputs,
+          jsonSchema: inputsToJsonSchema(subInputs),
+        });
+      } catch {
+        result.subServices.push({
+          serviceCode: sub.serviceCode,
+          serviceName: sub.serviceCode,
+          version: "0.0.1",
+          inputs: [],
+        });
+      }
+    }
+  }
+
+
+  // JSON Schema for the 'inputs' of configure_service (and calculationComponents of create_estimate)
+  result.jsonSchema = inputsToJsonSchema(result.inputs);
+  return result;
+}
+
+// Normalize a label for comparison: localized definitions mix full-width/half-width forms,
+// composed/decomposed accents and inconsistent casing or spacing
+function normalizeLabel(text) {
+  return String(text).normalize("NFKC").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
 // Resolve a user-provided value: if it matches an option label, return the option value
 function resolveValue(input, rawValue) {
   if (input.options && typeof rawValue === "string") {
@@ -159,6 +888,12 @@ function resolveValue(input, rawValue) {
       (o) => o.label === rawValue || o.value === rawValue
     );
     if (match) return match.value;
+    // Fall back to a normalized comparison so localized labels match regardless of width, accents or case
+    const wanted = normalizeLabel(rawValue);
+    const loose = input.options.find(
+      (o) => (o.label != null && normalizeLabel(o.label) === wanted) || normalizeLabel(o.value) === wanted
+    );
+    if (loose) return loose.value;
   }
   return rawValue;
 }
@@ -220,6 +955,233 @@ function buildComponentValue(input, value) {
   return { value };
 }
 
+const NUMERIC_TYPES = new Set(["numericInput", "frequency", "fileSize", "durationInput", "throughput", "utilization", "percentInput"]);
+
+// Levenshtein distance between two normalized labels
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Up to three candidates closest to value, ignoring ones too different to be a plausible typo
+function closestMatches(value, candidates) {
+  const wanted = normalizeLabel(value);
+  const maxDistance = Math.max(1, Math.floor(wanted.length / 3));
+  return [...new Set(candidates.filter((c) => c != null && c !== ""))]
+    .map((c) => ({ c, d: editDistance(wanted, normalizeLabel(c)) }))
+    .filter(({ d }) => d <= maxDistance)
+    .sort((x, y) => x.d - y.d)
+    .slice(0, 3)
+    .map(({ c }) => c);
+}
+
+// Units a field accepts: its unit options (by value or label) plus the engine's conversion table for its type
+function acceptedUnits(input) {
+  const table = { fileSize: FILE_SIZE_TO_GB, frequency: FREQ_TO_MONTH, durationInput: DURATION_TO_HOURS, throughput: THROUGHPUT_TO_MBPS }[input.type] || {};
+  const fromOptions = (input.unitOptions || []).flatMap((o) => [o.value, o.label]);
+  // Frequency definitions list their units as options
+  const fromFrequency = input.type === "frequency" ? (input.options || []).flatMap((o) => [o.value, o.label]) : [];
+  return [...new Set([...fromOptions, ...fromFrequency, ...Object.keys(table), input.unit, input.defaultUnit].filter(Boolean))];
+}
+
+// Check user inputs against the schema from extractInputs. Returns a list of
+// { field, code, message, suggestions? } issues; an empty list means the inputs are valid.
+function validateInputs(inputs, userInputs = {}) {
+  const issues = [];
+  const byId = new Map(inputs.filter((i) => i.id).map((i) => [i.id, i]));
+
+  for (const [field, raw] of Object.entries(userInputs)) {
+    const input = byId.get(field);
+    if (!input) {
+      const suggestions = closestMatches(field, inputs.flatMap((i) => [i.id, i.label]));
+      issues.push({ field, code: "unknownField", message: `Unknown field '${field}'`, ...(suggestions.length && { suggestions }) });
+      continue;
+    }
+    const wrapped = typeof raw === "object" && raw !== null && !Array.isArray(raw) && "value" in raw;
+    const value = wrapped ? raw.value : raw;
+
+    if (input.type === "pricingStrategy") {
+      const strategy = value;
+      if (typeof strategy !== "object" || strategy === null || Array.isArray(strategy)) {
+        issues.push({ field, code: "invalidPricingStrategy", message: `Expected an object with keys: ${(input.radioGroups || []).map((g) => g.key).join(", ")}` });
+        continue;
+      }
+      for (const key of Object.keys(strategy)) {
+        const group = input.radioGroups?.find((g) => g.key === key);
+        if (!group) {
+          issues.push({ field, code: "invalidPricingStrategy", message: `Unknown pricingStrategy key '${key}' (expected one of: ${(input.radioGroups || []).map((g) => g.key).join(", ")})` });
+        } else if (group.options.length && !group.options.some((o) => o.value === strategy[key])) {
+          const suggestions = closestMatches(String(strategy[key]), group.options.map((o) => o.value));
+          issues.push({ field, code: "invalidPricingStrategy", message: `'${strategy[key]}' is not a valid ${key} (expected one of: ${group.options.map((o) => o.value).join(", ")})`, ...(suggestions.length && { suggestions }) });
+        }
+      }
+      continue;
+    }
+
+    if (NUMERIC_TYPES.has(input.type)) {
+      if (value === "" || value == null || !Number.isFinite(Number(value))) {
+        issues.push({ field, code: "notNumeric", message: `Expected a number, got ${JSON.stringify(value)}` });
+      }
+      if (wrapped && raw.unit != null && input.type in { fileSize: 1, frequency: 1, durationInput: 1, throughput: 1 }) {
+        const units = acceptedUnits(input);
+        const matches = units.some((u) => u === raw.unit || normalizeLabel(u) === normalizeLabel(raw.unit));
+        if (!matches) {
+          const suggestions = closestMatches(String(raw.unit), units);
+          issues.push({ field, code: "invalidUnit", message: `Unit '${raw.unit}' is not valid for ${input.label || field} (expected one of: ${units.join(", ")})`, ...(suggestions.length && { suggestions }) });
+        }
+      }
+      continue;
+    }
+
+    if (input.options?.length && (typeof value === "string" || typeof value === "number")) {
+      const resolved = resolveValue(input, String(value));
+      if (!input.options.some((o) => String(o.value) === String(resolved))) {
+        const suggestions = closestMatches(String(value), input.options.flatMap((o) => [o.label, o.value]));
+        issues.push({
+          field,
+          code: "invalidOption",
+          message: `'${value}' is not an option for ${input.label || field} (expected one of: ${input.options.map((o) => o.value).join(", ")})`,
+          ...(suggestions.length && { suggestions }),
+        });
+      }
+    }
+  }
+  return issues;
+}
+
+const NUMERIC_STRING = /^-?\d+(\.\d+)?$/;
+
+// JSON Schema and matching zod schema for one input field. Fields accept a bare value or the
+// { value, unit? } form used in calculationComponents; option labels are accepted by zod and resolved to values.
+function fieldSchemas(input) {
+  const description = [input.label, input.description].filter(Boolean).join(" — ") || undefined;
+  const numberJson = { anyOf: [{ type: "number" }, { type: "string", pattern: NUMERIC_STRING.source }] };
+  const numberZod = z.union([z.number(), z.string().regex(NUMERIC_STRING)]);
+
+  let json, zod;
+  if (input.type === "pricingStrategy" && input.radioGroups?.length) {
+    const properties = {};
+    const shape = {};
+    for (const group of input.radioGroups) {
+      const values = group.options.map((o) => o.value);
+      properties[group.key] = { type: "string", ...(values.length && { enum: values }), ...(group.label && { description: group.label }) };
+      shape[group.key] = (values.length ? z.enum(values) : z.string()).optional();
+    }
+    json = { type: "object", properties, additionalProperties: false };
+    zod = z.object(shape).strict();
+    // pricingStrategy may also arrive wrapped as { value: {...} }
+    return {
+      json: { anyOf: [json, { type: "object", properties: { value: json }, required: ["value"] }], ...(description && { description }) },
+      zod: z.union([zod, z.object({ value: zod })]),
+    };
+  }
+  if (NUMERIC_TYPES.has(input.type)) {
+    const units = ["fileSize", "frequency", "durationInput", "throughput"].includes(input.type) ? acceptedUnits(input) : [];
+    const unitJson = units.length ? { type: "string", enum: units } : { type: "string" };
+    const unitZod = units.length ? z.string().refine((u) => units.some((a) => a === u || normalizeLabel(a) === normalizeLabel(u)), { message: `Expected one of: ${units.join(", ")}` }) : z.string();
+    return {
+      json: {
+        anyOf: [numberJson, { type: "object", properties: { value: numberJson, unit: unitJson }, required: ["value"] }],
+        ...(description && { description }),
+        ...(input.defaultUnit && { "x-default-unit": input.defaultUnit }),
+      },
+      zod: z.union([numberZod, z.object({ value: numberZod, unit: unitZod.optional() }).passthrough()]),
+    };
+  }
+  if (input.options?.length) {
+    const values = [...new Set(input.options.map((o) => String(o.value)))];
+    json = { type: "string", enum: values };
+    zod = z.preprocess((v) => (typeof v === "string" ? resolveValue(input, v) : v), z.enum(values));
+  } else {
+    json = {};
+    zod = z.any();
+  }
+  return {
+    json: { anyOf: [json, { type: "object", properties: { value: json }, required: ["value"] }], ...(description && { description }) },
+    zod: z.union([zod, z.object({ value: zod }).passthrough()]),
+  };
+}
+
+// JSON Schema (draft 2020-12) describing the inputs object accepted for a service
+function inputsToJsonSchema(inputs) {
+  const properties = {};
+  for (const input of inputs) {
+    if (input.id && !(input.id in properties)) properties[input.id] = fieldSchemas(input).json;
+  }
+  return { $schema: "https://json-schema.org/draft/2020-12/schema", type: "object", properties, additionalProperties: false };
+}
+
+// zod schema equivalent to inputsToJsonSchema, used to validate inputs server-side
+function inputsToZodSchema(inputs) {
+  const shape = {};
+  for (const input of inputs) {
+    if (input.id && !(input.id in shape)) shape[input.id] = fieldSchemas(input).zod.optional();
+  }
+  return z.object(shape).strict();
+}
+
+// One issue as text, e.g. "storageClass: 'Standrd' is not an option ... (did you mean: Standard?)"
+function formatValidationIssue(issue) {
+  return `${issue.field}: ${issue.message}${issue.suggestions ? ` (did you mean: ${issue.suggestions.join(", ")}?)` : ""}`;
+}
+
+// Check inputs namespaced by subService code against each subService's own schema.
+// Issues are reported against "subServices.<code>" or "subServices.<code>.<field>".
+async function subServiceIssues(def, subServiceInputs = {}, locale = "en_US") {
+  const issues = [];
+  const codes = (def.subServices || []).map((sub) => sub.serviceCode);
+  for (const [code, inputs] of Object.entries(subServiceInputs)) {
+    if (!codes.includes(code)) {
+      const suggestions = closestMatches(code, codes);
+      const message = codes.length ? `Not a subService of ${def.serviceName} (expected one of: ${codes.join(", ")})` : `${def.serviceName} has no subServices`;
+      issues.push({ field: `subServices.${code}`, code: "unknownSubService", message, ...(suggestions.length && { suggestions }) });
+      continue;
+    }
+    let subDef;
+    try {
+      subDef = await fetchServiceDef(code, locale);
+    } catch { continue; }
+    for (const issue of validateInputs(extractInputs(subDef), inputs || {})) {
+      issues.push({ ...issue, field: `subServices.${code}.${issue.field}` });
+    }
+  }
+  return issues;
+}
+
+// Validate every service's region and calculationComponents before an estimate is saved. Services whose
+// definition can't be loaded are left to buildServiceEntry. Throws one error listing all issues.
+async function validateServices(services, locale = "en_US") {
+  const problems = [];
+  for (const svc of services) {
+    const regionIssue = svc.region ? await regionProblem(svc.serviceCode, svc.region, locale) : null;
+    if (regionIssue) problems.push(`  • ${svc.serviceName || svc.serviceCode}: ${regionIssue}`);
+    const hasComponents = svc.calculationComponents && Object.keys(svc.calculationComponents).length > 0;
+    const hasSubServices = svc.subServices && Object.keys(svc.subServices).length > 0;
+    if (!hasComponents && !hasSubServices) continue;
+    let def, inputs;
+    try {
+      ({ def, inputs } = await loadServiceInputs(svc.serviceCode, svc.templateId || null, locale));
+    } catch { continue; }
+    const issues = [
+      ...(hasComponents ? validateInputs(inputs, svc.calculationComponents) : []),
+      ...(hasSubServices ? await subServiceIssues(def, svc.subServices, locale) : []),
+    ];
+    for (const issue of issues) {
+      problems.push(`  • ${svc.serviceName || svc.serviceCode}: ${formatValidationIssue(issue)}`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid services (nothing was saved):\n${problems.join("\n")}\nUse get_service_schema or validate_configuration to check field IDs, option values and units, and list_regions for where a service is offered.`);
+  }
+}
+
 // --- Pricing calculation engine ---
 
 function normalizeValue(subType, raw) {
@@ -248,23 +1210,58 @@ function normalizeValue(subType, raw) {
   return 0;
 }
 
-async function fetchPricingForService(def, regionName, templateId = null) {
-  // Build mapping from definition name to actual URL from mappingDefinitions
-  const mappingUrls = {};
-  for (const md of def.mappingDefinitions || []) {
-    if (md.mappingDefinitionName && md.mappingDefinitionURL) {
-      mappingUrls[md.mappingDefinitionName] = `https://calculator.aws/${md.mappingDefinitionURL.replace("[currency]", "USD")}`;
-    }
+// Fetch one pricing map for a region in the requested currency, falling back to USD
+// where the calculator doesn't publish that currency. Returns { priceMap, currency }.
+async function loadRegionPriceMap(urlForCurrency, cacheName, regionName, currency, keepAttributes = false) {
+  const cacheKey = `${cacheName}__${currency}__${regionName}${keepAttributes ? "__attributes" : ""}`;
+  const cached = getCachedPricing(cacheKey);
+  if (cached) return cached;
+
+  let data;
+  let usedCurrency = currency;
+  try {
+    data = await cachedFetchJSON(urlForCurrency(currency), "pricing");
+  } catch (e) {
+    // Only a map that isn't published in this currency falls back to USD; timeouts and server errors
+    // must not quietly save USD prices into an estimate in another currency
+    if (currency === "USD" || (e.status !== 403 && e.status !== 404)) throw e;
+    data = await cachedFetchJSON(urlForCurrency("USD"), "pricing");
+    usedCurrency = "USD";
+  }
+  const regionData = data.regions?.[regionName] || {};
+  const priceMap = {};
+  for (const [unit, info] of Object.entries(regionData)) {
+    priceMap[unit] = parseFloat(info.price) || 0;
+    // Also store extra attributes (Instance Type, vCPU, Memory, transfer ranges) for columnFormIPM and dataTransferV2 lookups
+    if (keepAttributes && (info["Instance Type"] || info.beginRange != null || info.transferType)) priceMap[`__attr__${unit}`] = info;
+  }
+  const loaded = { priceMap, currency: usedCurrency };
+  setCachedPricing(cacheKey, loaded);
+  return loaded;
+}
+
+async function fetchPricingForService(def, regionName, templateId = null, currency = "USD") {
+  // Build mapping from definition name to actual URL from mappingDefinitions
+  const mappingUrls = {};
+  for (const md of def.mappingDefinitions || []) {
+    if (md.mappingDefinitionName && md.mappingDefinitionURL) {
+      mappingUrls[md.mappingDefinitionName] = md.mappingDefinitionURL;
+    }
   }
+  const urlFor = (name) => (cur) => mappingUrls[name]
+    ? API.mapping(mappingUrls[name].replace("[currency]", cur))
+    : API.pricing(name, cur);
 
   const mappingDefs = new Set();
   let hasEc2PriceFetcher = false;
   let columnFormIPMDef = null;
+  const dataTransferDefs = new Set();
   function walkForMappings(comps) {
     for (const c of comps || []) {
       if (c.mappingDefinitionName) mappingDefs.add(c.mappingDefinitionName);
       if (c.subType === "ec2PriceFetcher") hasEc2PriceFetcher = true;
       if (c.subType === "columnFormIPM" && c.mappingDefinitionName) columnFormIPMDef = c.mappingDefinitionName;
+      if (c.subType === "dataTransferV2" && c.mappingDefinitionName) dataTransferDefs.add(c.mappingDefinitionName);
       if (c.components) walkForMappings(c.components);
     }
   }
@@ -278,85 +1275,47 @@ async function fetchPricingForService(def, regionName, templateId = null) {
   }
 
   const result = {};
-  await Promise.all([...mappingDefs].map(async (name) => {
-    const cacheKey = `${name}__${regionName}`;
-    if (pricingCache[cacheKey]) { result[name] = pricingCache[cacheKey]; return; }
+  const currencyFallbacks = [];
+  async function load(resultKey, cacheName, urlForCurrency, keepAttributes = false) {
     try {
-      const url = mappingUrls[name] || API.pricing(name);
-      const data = await fetchJSON(url);
-      const regionData = data.regions?.[regionName] || {};
-      const priceMap = {};
-      for (const [unit, info] of Object.entries(regionData)) {
-        priceMap[unit] = parseFloat(info.price) || 0;
-      }
-      pricingCache[cacheKey] = priceMap;
-      result[name] = priceMap;
+      const loaded = await loadRegionPriceMap(urlForCurrency, cacheName, regionName, currency, keepAttributes);
+      result[resultKey] = loaded.priceMap;
+      if (loaded.currency !== currency) currencyFallbacks.push(cacheName);
     } catch {
-      result[name] = {};
+      result[resultKey] = {};
     }
-  }));
+  }
+
+  // Data transfer maps keep their tier ranges and transfer types
+  await Promise.all([...mappingDefs].map((name) => load(name, name, urlFor(name), dataTransferDefs.has(name))));
 
   // Fetch EC2 instance pricing if ec2PriceFetcher is present
   if (hasEc2PriceFetcher) {
-    const cacheKey = `__ec2__${regionName}`;
-    if (pricingCache[cacheKey]) {
-      result.__ec2 = pricingCache[cacheKey];
-    } else {
-      try {
-        const data = await fetchJSON("https://calculator.aws/pricing/2.0/meteredUnitMaps/ec2/USD/current/ec2.json");
-        const regionData = data.regions?.[regionName] || {};
-        const priceMap = {};
-        for (const [unit, info] of Object.entries(regionData)) {
-          priceMap[unit] = parseFloat(info.price) || 0;
-        }
-        pricingCache[cacheKey] = priceMap;
-        result.__ec2 = priceMap;
-      } catch {
-        result.__ec2 = {};
-      }
-    }
+    await load("__ec2", "ec2", (cur) => API.pricing("ec2", cur));
   }
 
   // Fetch columnFormIPM on-demand pricing data
   if (columnFormIPMDef) {
     // Derive the on-demand endpoint name from the calc name (e.g., "rds-mysql-calc" → "rds-mysql-ondemand")
     const ondemandName = columnFormIPMDef.replace(/-calc$/, "-ondemand");
-    const ondemandUrl = mappingUrls[ondemandName];
-    if (ondemandUrl && !result[ondemandName]) {
-      const cacheKey = `${ondemandName}__${regionName}`;
-      if (pricingCache[cacheKey]) {
-        result[ondemandName] = pricingCache[cacheKey];
-      } else {
-        try {
-          const data = await fetchJSON(ondemandUrl);
-          const regionData = data.regions?.[regionName] || {};
-          const priceMap = {};
-          for (const [unit, info] of Object.entries(regionData)) {
-            priceMap[unit] = parseFloat(info.price) || 0;
-            // Also store extra attributes (Instance Type, vCPU, Memory) for columnFormIPM lookups
-            if (info["Instance Type"]) priceMap[`__attr__${unit}`] = info;
-          }
-          pricingCache[cacheKey] = priceMap;
-          result[ondemandName] = priceMap;
-        } catch {
-          result[ondemandName] = {};
-        }
-      }
+    if (mappingUrls[ondemandName] && !result[ondemandName]) {
+      await load(ondemandName, ondemandName, urlFor(ondemandName), true);
+    }
+    // Reserved terms are a sibling mapping (e.g., "rds-mysql-reservedinstance")
+    const reservedName = reservedMappingName(columnFormIPMDef, Object.keys(mappingUrls));
+    if (reservedName && !result[reservedName]) {
+      await load(reservedName, reservedName, urlFor(reservedName), true);
     }
   }
 
+  // Mapping names priced in USD because the requested currency isn't published for them
+  if (currencyFallbacks.length > 0) result.__currencyFallbacks = currencyFallbacks;
+
   return result;
 }
 
-function resolveAllComponents(def, pricingByDef, calculationComponents, templateId = null) {
-  const ctx = {};
-
-  // Seed input values
-  for (const [id, raw] of Object.entries(calculationComponents)) {
-    ctx[id] = raw;
-  }
-
-  // Collect all pricing components across all cards
+// Collect all pricing components across all cards of the selected template(s)
+function collectPricingComponents(def, templateId = null) {
   const pricingComps = [];
   function walkPricing(comps) {
     for (const c of comps || []) {
@@ -378,6 +1337,192 @@ function resolveAllComponents(def, pricingByDef, calculationComponents, template
       walkPricing(card.inputSection?.components);
     }
   }
+  return pricingComps;
+}
+
+// EC2 price keys per pricingStrategy model, e.g. "OnDemand Linux-instancetype-t3.micro".
+// Commitment models append the term and payment option ("...-1yr-PartialUpfront"); Savings Plans and
+// Reserved Instances publish the one-time fee under the same key with an "-upfront" suffix.
+const EC2_STRATEGY_PREFIXES = {
+  ondemand: "OnDemand",
+  computeSavings: "ComputeSavingsPlans",
+  instanceSavings: "InstanceSavingsPlans",
+  reserved: "Reserved",
+  standardReserved: "Reserved",
+  convertibleReserved: "ConvertibleReserved",
+};
+
+const EC2_PAYMENT_OPTIONS = { noupfront: "NoUpfront", partialupfront: "PartialUpfront", allupfront: "AllUpfront" };
+
+function lookupPriceKey(priceMap, key) {
+  if (priceMap[key] != null) return priceMap[key];
+  const keyLower = key.toLowerCase();
+  for (const [k, v] of Object.entries(priceMap)) {
+    if (k.toLowerCase() === keyLower) return v;
+  }
+  return null;
+}
+
+// Hourly EC2 rate for a pricingStrategy, split into the part billed monthly and the part paid upfront.
+// upfrontHourly is the upfront payment spread over every hour of the term, so the definition's maths can scale it.
+// missing lists the price keys the strategy needs that the pricing data doesn't have.
+function ec2StrategyPrice(priceMap, strategy, os, instanceType) {
+  const model = typeof strategy === "object" && strategy !== null ? strategy.model : strategy;
+  const prefix = EC2_STRATEGY_PREFIXES[model];
+  const base = `${prefix} ${os}-instancetype-${instanceType}`;
+  if (!prefix) return { model, hourly: 0, upfrontHourly: 0, termYears: 0, keys: [], missing: [], found: false };
+  if (model === "ondemand") {
+    const price = lookupPriceKey(priceMap, base);
+    return { model, hourly: price ?? 0, upfrontHourly: 0, termYears: 0, keys: [base], missing: price == null ? [base] : [], found: price != null };
+  }
+
+  const termYears = String(strategy?.term ?? "").startsWith("3") ? 3 : 1;
+  const payment = EC2_PAYMENT_OPTIONS[String(strategy?.options ?? "").replace(/[^a-z]/gi, "").toLowerCase()] || "NoUpfront";
+  const key = `${base}-${termYears}yr-${payment}`;
+  const termHours = termYears * 8760;
+
+  // All Upfront has no hourly rate and No Upfront no fee; the split in between comes from the pricing data
+  const hourly = lookupPriceKey(priceMap, key);
+  const fee = lookupPriceKey(priceMap, `${key}-upfront`);
+  const missing = [
+    ...(payment !== "AllUpfront" && hourly == null ? [key] : []),
+    ...(payment !== "NoUpfront" && fee == null ? [`${key}-upfront`] : []),
+  ];
+  return { model, term: `${termYears}yr`, payment, hourly: hourly ?? 0, upfrontHourly: (fee ?? 0) / termHours, upfrontFee: fee ?? 0, termYears, keys: [key, `${key}-upfront`], missing, found: missing.length === 0 };
+}
+
+// Reserved-term mapping that goes with a columnFormIPM "-calc" mapping, or null when the definition has none
+function reservedMappingName(calcName, mappingNames) {
+  const base = calcName.replace(/-calc$/, "");
+  return mappingNames.find((name) => name.startsWith(`${base}-`) && name.toLowerCase().includes("reserved")) || null;
+}
+
+// Price in a columnFormIPM pricing map whose key contains every term (lowercase). The shortest
+// key wins, so "multi-az" doesn't pick "Multi-AZ (readable standbys)".
+function matchIpmPrice(priceMap, terms, exclude = []) {
+  let best = null;
+  for (const [key, price] of Object.entries(priceMap)) {
+    if (key.startsWith("__attr__")) continue;
+    const keyLower = key.toLowerCase();
+    if (!terms.every((t) => keyLower.includes(t)) || exclude.some((t) => keyLower.includes(t))) continue;
+    if (!best || key.length < best.key.length) best = { key, price };
+  }
+  return best;
+}
+
+// Lease length and purchase option of a reserved columnFormIPM term, read from the
+// LeaseContractLength/PurchaseOption columns or from a combined TermType such as "Reserved 3yr All Upfront"
+function parseReservedTerm(ipmInput, termType) {
+  const text = [termType, ipmInput?.LeaseContractLength, ipmInput?.PurchaseOption]
+    .filter(Boolean).join(" ").toLowerCase().replace(/[^a-z0-9]/g, "");
+  const years = /3y/.test(text) ? 3 : 1;
+  const purchase = text.includes("allupfront") ? "All Upfront" : text.includes("partialupfront") ? "Partial Upfront" : "No Upfront";
+  return { lease: `${years}yr`, years, purchase };
+}
+
+// Data transfer flows as the calculator UI names them; user-supplied names are matched without case or punctuation
+const TRANSFER_FLOW_ALIASES = {
+  inbound: "inbound",
+  in: "inbound",
+  awsinbound: "inbound",
+  outbound: "outbound",
+  out: "outbound",
+  internet: "outbound",
+  awsoutbound: "outbound",
+  interregion: "interRegion",
+  interregionoutbound: "interRegion",
+  intraregion: "intraRegion",
+};
+
+function transferFlowName(name) {
+  return TRANSFER_FLOW_ALIASES[String(name ?? "").replace(/[^a-z]/gi, "").toLowerCase()] || null;
+}
+
+// GB per month from a number or { value, unit } with units such as "TB" or "TB per month"
+function transferGB(amount) {
+  if (amount == null) return 0;
+  if (typeof amount !== "object") return Number(amount) || 0;
+  const unit = String(amount.unit ?? "GB").replace(/\s*(per|\/)\s*month$/i, "").trim().toUpperCase();
+  return (Number(amount.value) || 0) * (FILE_SIZE_TO_GB[unit] ?? 1);
+}
+
+// A dataTransferV2 input as a list of { flow, destination, gb }. Accepts a number (outbound GB), { value, unit }
+// (outbound), an object keyed by flow ({ inbound, outbound, intraRegion, interRegion }) where interRegion is a list of
+// { region, value, unit } or an object keyed by destination region, or a list of rows { type, destination, value, unit }.
+function transferFlows(raw) {
+  if (raw == null) return [];
+  if (typeof raw === "object" && !Array.isArray(raw) && typeof raw.value === "object" && raw.value !== null) return transferFlows(raw.value);
+  if (typeof raw !== "object" || "value" in raw) return [{ flow: "outbound", destination: null, gb: transferGB(raw) }];
+
+  const rows = Array.isArray(raw) ? raw : Object.entries(raw).flatMap(([key, amount]) => {
+    if (transferFlowName(key) !== "interRegion") return [{ type: key, amount }];
+    if (Array.isArray(amount)) return amount.map((row) => ({ type: key, ...row }));
+    return Object.entries(amount || {}).map(([destination, value]) => ({ type: key, destination, amount: value }));
+  });
+  return rows
+    .map((row) => ({
+      flow: transferFlowName(row.type ?? row.flow ?? row.direction),
+      destination: row.destination ?? row.region ?? row.toRegion ?? null,
+      gb: transferGB(row.amount ?? row),
+    }))
+    .filter((row) => row.flow && row.gb > 0);
+}
+
+// Flow of a data transfer price entry, from its transferType attribute or its metered unit name.
+// Only AWS/external outbound entries count as internet egress; other outbound entries (e.g. to CloudFront) match no flow.
+function priceEntryFlow(key, attrs) {
+  const text = String(attrs?.transferType || key).replace(/[^a-z]/gi, "").toLowerCase();
+  if (text.includes("interregion")) return "interRegion";
+  if (text.includes("intraregion")) return "intraRegion";
+  if (text.includes("inbound")) return "inbound";
+  if (text === "awsoutbound" || text.includes("externaloutbound")) return "outbound";
+  return null;
+}
+
+// Tiers for one flow (and destination region for inter-region transfer), with GB ranges from the
+// entries' beginRange/endRange attributes. Returns { found, tiers, reason }: a flow without prices,
+// or whose prices have no ranges, is not found rather than priced from guessed tier sizes.
+function transferTiers(priceMap, flow, destination = null) {
+  const destName = destination ? (REGION_NAMES[destination] || destination).toLowerCase() : null;
+  const entries = Object.entries(priceMap)
+    .filter(([key]) => !key.startsWith("__attr__"))
+    .map(([key, price]) => ({ key, price, attrs: priceMap[`__attr__${key}`] || null }))
+    .filter(({ key, attrs }) => priceEntryFlow(key, attrs) === flow)
+    .filter(({ key, attrs }) => !destName ||
+      attrs?.toRegionCode === destination ||
+      String(attrs?.toLocation || "").toLowerCase() === destName ||
+      key.toLowerCase().includes(destName));
+
+  if (entries.length === 0) {
+    return { found: false, tiers: [], reason: destination ? `no ${flow} prices to ${destination}` : `no ${flow} prices` };
+  }
+  if (!entries.every(({ attrs }) => attrs?.beginRange != null)) {
+    return { found: false, tiers: [], reason: `${flow} prices have no tier ranges` };
+  }
+  const tiers = entries
+    .map(({ key, price, attrs }) => ({
+      meteredUnit: key,
+      start: Number(attrs.beginRange) || 0,
+      end: attrs.endRange == null || attrs.endRange === "Inf" ? Infinity : Number(attrs.endRange),
+      price,
+    }))
+    .sort((a, b) => a.start - b.start);
+  return { found: true, tiers, reason: null };
+}
+
+// When trace is an array, every normalization, displayIf check and price lookup is appended to it in order
+function resolveAllComponents(def, pricingByDef, calculationComponents, templateId = null, trace = null) {
+  const ctx = {};
+
+  // Seed input values
+  for (const [id, raw] of Object.entries(calculationComponents)) {
+    ctx[id] = raw;
+  }
+
+  const pricingComps = collectPricingComponents(def, templateId);
+  const templates = templateId
+    ? (def.templates || []).filter((t) => t.id === templateId)
+    : (def.templates || []);
 
   // Normalize all input values based on their subType from inputSection
   const inputDefs = {};
@@ -395,27 +1540,31 @@ function resolveAllComponents(def, pricingByDef, calculationComponents, template
   for (const [id, raw] of Object.entries(calculationComponents)) {
     const inputDef = inputDefs[id];
     const subType = inputDef?.subType || inputDef?.type || "";
-    // Preserve complex objects (columnFormIPM, pricingStrategy) as-is
-    if (subType === "columnFormIPM" || subType === "pricingStrategy") {
+    // Preserve complex objects (columnFormIPM, pricingStrategy, dataTransferV2) as-is
+    if (subType === "columnFormIPM" || subType === "pricingStrategy" || subType === "dataTransferV2") {
       ctx[id] = raw;
     } else {
       // For frequency fields, resolve unit labels (e.g., "million per month") to option IDs (e.g., "perMonth" or "millionPerMonth")
       let resolved = raw;
       if (subType === "frequency" && inputDef?.options && typeof raw === "object" && raw !== null && "unit" in raw) {
-        const unitMatch = inputDef.options.find(o => o.label === raw.unit || o.id === raw.unit);
+        const unitMatch = inputDef.options.find(o => o.label === raw.unit || o.id === raw.unit)
+          || inputDef.options.find(o => o.label != null && normalizeLabel(o.label) === normalizeLabel(raw.unit));
         if (unitMatch && unitMatch.id !== raw.unit) {
           resolved = { ...raw, unit: unitMatch.id };
         }
       }
       ctx[id] = normalizeValue(subType, resolved);
     }
+    trace?.push({ step: "input", id, subType: subType || null, raw, normalized: ctx[id] });
   }
 
   // Zero out inputs whose displayIf condition evaluates to false
   // (e.g., IOPS inputs when gp2 storage is selected)
   for (const [id, inputDef] of Object.entries(inputDefs)) {
     if (inputDef.displayIf && id in ctx) {
-      if (!evalDisplayIf(inputDef.displayIf, ctx, pricingByDef)) {
+      const passed = evalDisplayIf(inputDef.displayIf, ctx, pricingByDef);
+      trace?.push({ step: "displayIf", target: `input ${id}`, condition: inputDef.displayIf, passed });
+      if (!passed) {
         const val = ctx[id];
         if (typeof val === "number") ctx[id] = 0;
       }
@@ -446,22 +1595,43 @@ function resolveAllComponents(def, pricingByDef, calculationComponents, template
       if (!ctx.count) ctx.count = nodes;
       if (!ctx.deploymentStrategy) ctx.deploymentStrategy = deployment;
 
+      // Instance type in pricing keys uses space for first separator (e.g., "db t3.medium" not "db.t3.medium")
+      const instLower = instanceType.toLowerCase().replace(".", " ");
+      const deplLower = deployment.toLowerCase();
+      const matchPrice = (map, terms, exclude = []) => matchIpmPrice(map, [instLower, deplLower, ...terms], exclude)
+        // Engines without deployment options (e.g., ElastiCache) don't name one in their keys
+        || (deplLower === "single-az" ? matchIpmPrice(map, [instLower, ...terms], [...exclude, "multi-az"]) : null);
+      const monthlyId = calcId.monthly || "monthly_ipm";
+      const upfrontId = calcId.upfront || "upfront_ipm";
+
       // Look up price from on-demand pricing data
       if (termType === "OnDemand") {
-        let hourlyPrice = 0;
-        // Instance type in pricing keys uses space for first separator (e.g., "db t3.medium" not "db.t3.medium")
-        const instLower = instanceType.toLowerCase().replace(".", " ");
-        const deplLower = deployment.toLowerCase();
-        for (const [key, price] of Object.entries(ondemandMap)) {
-          if (key.startsWith("__attr__")) continue;
-          const keyLower = key.toLowerCase();
-          if (keyLower.includes(instLower) && keyLower.includes(deplLower)) {
-            hourlyPrice = price;
-            break;
-          }
-        }
-        ctx[calcId.monthly || "monthly_ipm"] = hourlyPrice * 730 * nodes;
-        ctx[calcId.upfront || "upfront_ipm"] = 0;
+        const match = matchPrice(ondemandMap, []);
+        const hourlyPrice = match?.price ?? 0;
+        ctx[monthlyId] = hourlyPrice * 730 * nodes;
+        ctx[upfrontId] = 0;
+        trace?.push({
+          step: "price", id: c.id, subType: c.subType, mappingDefinition: ondemandName, meteredUnit: match?.key ?? null, price: hourlyPrice,
+          note: `${hourlyPrice} per hour × 730 hours × ${nodes} node(s) = ${ctx[monthlyId]}`,
+        });
+      } else {
+        // Reserved terms: the one-time fee per node is paid upfront, the recurring hourly fee monthly
+        const reservedName = reservedMappingName(c.mappingDefinitionName || "", Object.keys(pricingByDef));
+        const reservedMap = (reservedName && pricingByDef[reservedName]) || {};
+        const { lease, years, purchase } = parseReservedTerm(ipmInput, termType);
+        const terms = [lease, purchase.toLowerCase()];
+        const hourly = purchase === "All Upfront" ? null : matchPrice(reservedMap, terms, ["upfront fee", "quantity"]);
+        const fee = purchase === "No Upfront" ? null : (matchPrice(reservedMap, [...terms, "upfront fee"]) || matchPrice(reservedMap, [...terms, "quantity"]));
+        const hourlyPrice = hourly?.price ?? 0;
+        const upfrontFee = fee?.price ?? 0;
+        ctx[monthlyId] = hourlyPrice * 730 * nodes;
+        ctx[upfrontId] = upfrontFee * nodes;
+        trace?.push({
+          step: "price", id: c.id, subType: c.subType, mappingDefinition: reservedName, term: `${lease} ${purchase}`,
+          meteredUnit: [hourly?.key, fee?.key].filter(Boolean).join(" / ") || null, price: hourlyPrice, upfrontFee,
+          found: (purchase === "All Upfront" || hourly != null) && (purchase === "No Upfront" || fee != null),
+          note: `${hourlyPrice} per hour × 730 hours × ${nodes} node(s) = ${ctx[monthlyId]}; ${upfrontFee} upfront × ${nodes} node(s) = ${ctx[upfrontId]} for ${years} year(s)`,
+        });
       }
     }
   }
@@ -492,60 +1662,57 @@ function resolveAllComponents(def, pricingByDef, calculationComponents, template
     }
   }
 
-  // Resolve dataTransferV2 components (tiered outbound data transfer pricing)
+  // Resolve dataTransferV2 components: each flow is priced through its own tiers
   for (const c of pricingComps) {
     if (c.subType === "dataTransferV2" && c.id) {
       const priceMap = pricingByDef[c.mappingDefinitionName] || {};
-      const rawInput = ctx[c.id];
-      // Input can be a number (GB) or object with outbound/inbound amounts
-      const outboundGB = typeof rawInput === "number" ? rawInput :
-        (typeof rawInput === "object" && rawInput !== null ? Number(rawInput.outbound || rawInput.value || 0) : Number(rawInput) || 0);
-      // Apply tiered outbound pricing
-      const tiers = Object.entries(priceMap)
-        .filter(([k]) => k.toLowerCase().includes("external outbound") || k.toLowerCase().includes("outbound next") || k.toLowerCase().includes("outbound greater"))
-        .sort((a, b) => b[1] - a[1]); // highest price first = first tier
+      const flows = transferFlows(ctx[c.id]);
       let cost = 0;
-      if (tiers.length > 0) {
-        // Standard AWS tiers: first 10TB, next 40TB, next 100TB, >150TB
-        const tierSizes = [10 * 1024, 40 * 1024, 100 * 1024, Infinity];
-        let remaining = outboundGB;
-        for (let i = 0; i < tiers.length && remaining > 0; i++) {
-          const qty = Math.min(remaining, tierSizes[i] || Infinity);
-          cost += qty * tiers[i][1];
-          remaining -= qty;
+      const priced = [];
+      const missing = [];
+      for (const { flow, destination, gb } of flows) {
+        const { found, tiers, reason } = transferTiers(priceMap, flow, destination);
+        if (!found) missing.push(`${gb} GB ${flow} data transfer${destination ? ` to ${destination}` : ""} (${reason})`);
+        const usedTiers = [];
+        let flowCost = 0;
+        for (const tier of tiers) {
+          const qty = Math.max(0, Math.min(gb, tier.end) - tier.start);
+          if (qty === 0) continue;
+          flowCost += qty * tier.price;
+          usedTiers.push({ meteredUnit: tier.meteredUnit, quantity: qty, price: tier.price });
         }
+        cost += flowCost;
+        priced.push({ flow, destination, quantity: gb, tiers: usedTiers, cost: flowCost, found });
       }
       ctx[c.id] = cost;
+      // Reported as missing pricing by computeCostFromPreparedDefinition instead of a silent zero
+      if (missing.length > 0) ctx[`__missingPricing__${c.id}`] = missing;
+      trace?.push({ step: "price", id: c.id, subType: c.subType, mappingDefinition: c.mappingDefinitionName, flows: priced, result: cost });
     }
   }
 
-  // Resolve EC2 priceSelector components using ec2PriceFetcher data
+  // Resolve EC2 priceSelector components using ec2PriceFetcher data. A selector prices the
+  // selected pricingStrategy model when it generates prices for it and is 0 otherwise.
   const ec2PriceMap = pricingByDef.__ec2 || {};
   for (const c of pricingComps) {
     if (c.subType === "priceSelector" && c.id) {
       const generateFor = c.pricing?.generatePriceFor || [];
       const pricingStrategy = ctx.pricingStrategy;
       const model = typeof pricingStrategy === "object" ? pricingStrategy?.model : pricingStrategy;
-      if (generateFor.includes(model) || generateFor.includes("ondemand")) {
-        const instanceType = ctx.instanceType;
-        const os = ctx.selectedOS || "Linux";
-        if (generateFor.includes("ondemand") && model === "ondemand") {
-          // Case-insensitive lookup: try exact key first, then search
-          const key = `OnDemand ${os}-instancetype-${instanceType}`;
-          let price = ec2PriceMap[key];
-          if (price == null) {
-            const keyLower = key.toLowerCase();
-            for (const [k, v] of Object.entries(ec2PriceMap)) {
-              if (k.toLowerCase() === keyLower) { price = v; break; }
-            }
-          }
-          ctx[c.id] = price ?? 0;
-        } else if (!generateFor.includes("ondemand")) {
-          ctx[c.id] = 0;
-        }
-      } else {
+      if (!generateFor.includes(model)) {
         ctx[c.id] = 0;
+        continue;
       }
+      const price = ec2StrategyPrice(ec2PriceMap, pricingStrategy, ctx.selectedOS || "Linux", ctx.instanceType);
+      ctx[c.id] = price.hourly;
+      // The upfront part is priced separately by computeCostFromPreparedDefinition
+      if (price.upfrontHourly > 0) ctx[`__commitment__${c.id}`] = { upfrontHourly: price.upfrontHourly, termYears: price.termYears };
+      if (price.missing.length > 0) ctx[`__missingPricing__${c.id}`] = price.missing.map((key) => `EC2 price "${key}"`);
+      trace?.push({
+        step: "price", id: c.id, subType: c.subType, mappingDefinition: "ec2",
+        model: price.model, term: price.term, payment: price.payment,
+        meteredUnit: price.keys.join(" / "), price: price.hourly, upfrontHourly: price.upfrontHourly, found: price.found,
+      });
     }
   }
 
@@ -557,10 +1724,12 @@ function resolveAllComponents(def, pricingByDef, calculationComponents, template
     if (c.subType === "singlePricePoint" && c.id) {
       const unit = c.meteredUnit?.allRegions || "";
       ctx[c.id] = priceMap[unit] ?? 0;
+      trace?.push({ step: "price", id: c.id, subType: c.subType, mappingDefinition: defName, meteredUnit: unit, price: ctx[c.id], found: unit in priceMap });
     } else if (c.subType === "pricingComboV2" && c.id) {
       const refId = c.refers?.[0]?.variableId;
       const unit = refId ? (ctx[refId] ?? "") : "";
       ctx[c.id] = typeof unit === "string" ? (priceMap[unit] ?? 0) : 0;
+      trace?.push({ step: "price", id: c.id, subType: c.subType, mappingDefinition: defName, meteredUnit: unit, price: ctx[c.id], found: typeof unit === "string" && unit in priceMap });
     } else if (c.subType === "tieredPricing" && c.id) {
       const tiers = c.tiers?.allRegions || [];
       const allExactMatch = tiers.every(t => (priceMap[t.meteredUnit] ?? undefined) !== undefined);
@@ -583,6 +1752,11 @@ function resolveAllComponents(def, pricingByDef, calculationComponents, template
         price: priceMap[t.meteredUnit] ?? (fallbackPrices?.[i]?.[1] ?? 0),
       }));
       ctx[`__tiers__${c.id}`] = resolvedTiers;
+      trace?.push({
+        step: "price", id: c.id, subType: c.subType, mappingDefinition: defName,
+        tiers: resolvedTiers.map((t, i) => ({ meteredUnit: tiers[i].meteredUnit, start: t.start, end: t.end, price: t.price })),
+        found: allExactMatch,
+      });
     }
   }
 
@@ -603,6 +1777,8 @@ function resolveAllComponents(def, pricingByDef, calculationComponents, template
         if (inputFirstWord === keyFirstWord.toLowerCase()) {
           const qty = Number(ctx[id]) || 0;
           ctx[`__requestCost__${id}`] = qty * price;
+          ctx[`__requestPrice__${id}`] = price;
+          trace?.push({ step: "price", id, subType: "requestCost", mappingDefinition: defName, meteredUnit: key, price, quantity: qty, result: qty * price });
           break;
         }
       }
@@ -649,8 +1825,18 @@ function evalDisplayIf(condition, context, pricingByDef) {
   return true; // default: include
 }
 
-function executeMathsSection(mathsOps, context, pricingByDef) {
+// Turn a component ID into a readable label (e.g. "durationCost" → "Duration cost")
+function humanizeId(id) {
+  const words = String(id).replace(/([a-z\d])([A-Z])/g, "$1 $2").replace(/[_-]+/g, " ").trim().toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Runs the maths components and returns one { costType, value, label, items } per priceDisplay.
+// items split the subtotal into priced lines ({ label, quantity, unitPrice, subtotal }): additions are
+// expanded term by term, and a multiplication by one of priceIds yields quantity × unit price.
+function executeMathsSection(mathsOps, context, pricingByDef, priceIds = new Set(), trace = null) {
   const priceDisplays = [];
+  const steps = {}; // component ID → maths component that produced it
 
   function getVal(operand) {
     if (operand == null) return 0;
@@ -662,20 +1848,40 @@ function executeMathsSection(mathsOps, context, pricingByDef) {
     return 0;
   }
 
+  // Operand as shown in traces: the referenced ID (or constant) and the value it resolved to
+  function describeOperand(operand) {
+    const ref = operand?.variableId || operand?.refer || null;
+    return ref ? { ref, value: getVal(operand) } : { constant: getVal(operand) };
+  }
+
   for (const op of mathsOps || []) {
     for (const comp of op.components || []) {
+      const st = comp.subType || comp.type;
+
       // Evaluate displayIf conditions
-      if (comp.displayIf && !evalDisplayIf(comp.displayIf, context, pricingByDef)) continue;
+      if (comp.displayIf) {
+        const passed = evalDisplayIf(comp.displayIf, context, pricingByDef);
+        trace?.push({ step: "displayIf", target: `${st} ${comp.id || comp.subTotalRefer || ""}`.trim(), condition: comp.displayIf, passed });
+        if (!passed) continue;
+      }
 
-      const st = comp.subType || comp.type;
       if (st === "display" || st === "conversionDisplay") continue;
 
       if (st === "priceDisplay") {
         if (comp.subTotalRefer) {
-          priceDisplays.push({ costType: comp.costType || "Monthly", value: Number(context[comp.subTotalRefer]) || 0 });
+          const value = Number(context[comp.subTotalRefer]) || 0;
+          const items = describeSubtotal(comp.subTotalRefer);
+          priceDisplays.push({
+            costType: comp.costType || "Monthly",
+            value,
+            label: comp.label || comp.title || (items.length === 1 ? items[0].label : humanizeId(comp.subTotalRefer)),
+            items,
+          });
+          trace?.push({ step: "priceDisplay", subTotalRefer: comp.subTotalRefer, costType: comp.costType || "Monthly", value });
         }
         continue;
       }
+      if (comp.id) steps[comp.id] = comp;
 
       if (st === "basicMaths" && comp.id) {
         const operands = (comp.operands || []).map(getVal);
@@ -689,9 +1895,11 @@ function executeMathsSection(mathsOps, context, pricingByDef) {
           else if (operation === "exponent") { result = Math.pow(result, operands[i]); break; }
         }
         context[comp.id] = result;
+        trace?.push({ step: "maths", id: comp.id, subType: st, operation, operands: (comp.operands || []).map(describeOperand), result });
       } else if (st === "maxMin" && comp.id) {
         const operands = (comp.operands || []).map(getVal);
         context[comp.id] = comp.operation === "Maximum" ? Math.max(...operands) : Math.min(...operands);
+        trace?.push({ step: "maths", id: comp.id, subType: st, operation: comp.operation, operands: (comp.operands || []).map(describeOperand), result: context[comp.id] });
       } else if (st === "rounding" && comp.id) {
         const val = getVal(comp.operands?.[0]);
         const factor = Number(comp.factor) || 1;
@@ -699,11 +1907,13 @@ function executeMathsSection(mathsOps, context, pricingByDef) {
         else if (comp.method === "roundDown") context[comp.id] = Math.floor(val / factor) * factor;
         else if (comp.method === "standard") context[comp.id] = Math.round(val / factor) * factor;
         else context[comp.id] = val;
+        trace?.push({ step: "maths", id: comp.id, subType: st, method: comp.method || null, factor, operands: [describeOperand(comp.operands?.[0])], result: context[comp.id] });
       } else if (st === "tieredPricingMath" && comp.id) {
         const inputVal = Number(context[comp.inputRefer]) || 0;
         const tiers = context[`__tiers__${comp.tieredPricingRefer}`] || [];
         let total = 0;
         let remaining = inputVal;
+        const usedTiers = [];
         for (const tier of tiers) {
           if (remaining <= 0) break;
           const tierStart = tier.start;
@@ -712,8 +1922,10 @@ function executeMathsSection(mathsOps, context, pricingByDef) {
           const qty = Math.min(remaining, tierSize);
           total += qty * tier.price;
           remaining -= qty;
+          usedTiers.push({ start: tier.start, end: tier.end, quantity: qty, price: tier.price, cost: qty * tier.price });
         }
         context[comp.id] = total;
+        trace?.push({ step: "maths", id: comp.id, subType: st, operands: [{ ref: comp.inputRefer, value: inputVal }], tiers: usedTiers, result: total });
       } else if (st === "variable" && comp.id) {
         // Assignment: copy value from refer/operand to this variable's id
         if (comp.refer) context[comp.id] = Number(context[comp.refer]) || 0;
@@ -730,31 +1942,113 @@ function executeMathsSection(mathsOps, context, pricingByDef) {
     }
   }
 
+  // Break a subtotal into priced lines by walking back through the steps that produced it
+  function describeSubtotal(id, depth = 0) {
+    const subtotal = Number(context[id]) || 0;
+    const line = { label: humanizeId(id), quantity: null, unitPrice: null, subtotal };
+    let step = steps[id];
+    // Follow plain assignments (variable → refer) to the step that did the work
+    while (step && (step.subType || step.type) === "variable" && step.refer && steps[step.refer] && depth++ < 20) {
+      step = steps[step.refer];
+    }
+    if (!step || depth > 20) return [line];
+    if (step.label) line.label = step.label;
+    const st = step.subType || step.type;
+    const operandId = (o) => o?.variableId || o?.refer || null;
+
+    if (st === "basicMaths" && step.operation === "addition" && (step.operands || []).length > 1) {
+      return step.operands.flatMap((o) => {
+        const ref = operandId(o);
+        return ref ? describeSubtotal(ref, depth + 1) : [{ label: "Fixed amount", quantity: null, unitPrice: null, subtotal: getVal(o) }];
+      });
+    }
+    if (st === "basicMaths" && step.operation === "multiplication") {
+      const priceOperand = (step.operands || []).find((o) => priceIds.has(operandId(o)));
+      if (priceOperand) {
+        line.unitPrice = getVal(priceOperand);
+        line.quantity = (step.operands || []).filter((o) => o !== priceOperand).reduce((q, o) => q * getVal(o), 1);
+      }
+    } else if (st === "tieredPricingMath") {
+      // Tiered lines report the blended unit price across tiers
+      line.quantity = Number(context[step.inputRefer]) || 0;
+      line.unitPrice = line.quantity ? subtotal / line.quantity : null;
+    }
+    return [line];
+  }
+
   return priceDisplays;
 }
 
 
-function computeCostFromPreparedDefinition(def, regionName, userInputs = {}, templateId = null, pricingByDefOverride = null) {
+function computeCostFromPreparedDefinition(def, regionName, userInputs = {}, templateId = null, pricingByDefOverride = null, trace = null) {
   const inputs = extractInputs(def, templateId);
   const cc = buildCalcComponents(inputs, userInputs);
   const pricingByDef = pricingByDefOverride || {};
-  const ctx = resolveAllComponents(def, pricingByDef, cc, templateId);
+  const ctx = resolveAllComponents(def, pricingByDef, cc, templateId, trace);
 
   let monthly = 0;
   let upfront = 0;
+  const breakdown = [];
   const tmpl = templateId
     ? (def.templates || []).find((t) => t.id === templateId)
     : (def.templates || [])[0];
+  const priceIds = new Set(collectPricingComponents(def, templateId).map((c) => c.id).filter(Boolean));
+  const commitments = Object.keys(ctx).filter((k) => k.startsWith("__commitment__"));
+  // Inputs and prices before the maths run, to price commitment upfront payments afterwards
+  const upfrontCtx = commitments.length > 0 && tmpl ? structuredClone(ctx) : null;
 
   if (tmpl) {
     for (const card of tmpl.cards || []) {
       if (!card.mathsSection) continue;
-      if (card.displayIf && !evalDisplayIf(card.displayIf, ctx, pricingByDef)) continue;
-      const displays = executeMathsSection(card.mathsSection, ctx, pricingByDef);
+      const cardLabel = card.title || card.label || card.id || null;
+      if (card.displayIf) {
+        const passed = evalDisplayIf(card.displayIf, ctx, pricingByDef);
+        trace?.push({ step: "displayIf", target: `card ${cardLabel ?? ""}`.trim(), condition: card.displayIf, passed });
+        if (!passed) continue;
+      }
+      const displays = executeMathsSection(card.mathsSection, ctx, pricingByDef, priceIds, trace);
       for (const dp of displays) {
         if (dp.costType === "Upfront") upfront += dp.value;
         else monthly += dp.value;
+        // One line per priced item, or the display itself when it can't be split
+        const items = dp.items.length > 1 ? dp.items : [{ ...dp.items[0], label: dp.label, subtotal: dp.value }];
+        for (const item of items) {
+          breakdown.push({ card: cardLabel, label: item.label, costType: dp.costType, quantity: item.quantity, unitPrice: item.unitPrice, subtotal: item.subtotal });
+        }
+      }
+    }
+  }
+
+  // Savings Plans and Reserved Instances paid (partly) upfront: rerun the maths with only the
+  // upfront hourly rates priced. The Monthly displays then give one month's share of the payment;
+  // the term has 12 per year. Upfront displays are already one-time amounts and are left out.
+  if (upfrontCtx) {
+    for (const id of priceIds) upfrontCtx[id] = 0;
+    for (const key of Object.keys(upfrontCtx)) {
+      if (key.startsWith("__tiers__")) upfrontCtx[key] = upfrontCtx[key].map((t) => ({ ...t, price: 0 }));
+      if (key.startsWith("__requestCost__")) delete upfrontCtx[key];
+    }
+    for (const key of commitments) {
+      const id = key.slice("__commitment__".length);
+      const { upfrontHourly, termYears } = ctx[key];
+      const priced = { ...upfrontCtx, [id]: upfrontHourly };
+      let perMonth = 0;
+      for (const card of tmpl.cards || []) {
+        if (!card.mathsSection || (card.displayIf && !evalDisplayIf(card.displayIf, priced, pricingByDef))) continue;
+        for (const dp of executeMathsSection(card.mathsSection, priced, pricingByDef, priceIds)) {
+          if (dp.costType !== "Upfront") perMonth += dp.value;
+        }
       }
+      const amount = perMonth * 12 * termYears;
+      upfront += amount;
+      breakdown.push({
+        card: null,
+        label: `${inputs.find((i) => i.type === "pricingStrategy")?.label || "Pricing strategy"} upfront payment (${termYears}-year term)`,
+        costType: "Upfront",
+        quantity: upfrontHourly > 0 ? amount / upfrontHourly : 0,
+        unitPrice: upfrontHourly,
+        subtotal: amount,
+      });
     }
   }
 
@@ -762,33 +2056,53 @@ function computeCostFromPreparedDefinition(def, regionName, userInputs = {}, tem
   for (const [key, val] of Object.entries(ctx)) {
     if (key.startsWith("__requestCost__") && typeof val === "number") {
       monthly += val;
+      const id = key.slice("__requestCost__".length);
+      breakdown.push({
+        card: null,
+        label: inputs.find((i) => i.id === id)?.label || humanizeId(id),
+        costType: "Monthly",
+        quantity: Number(ctx[id]) || 0,
+        unitPrice: ctx[`__requestPrice__${id}`] ?? null,
+        subtotal: val,
+      });
     }
   }
 
-  return { monthly: Math.max(0, monthly), upfront: Math.max(0, upfront), calculationComponents: cc };
+  // Inputs whose prices couldn't be found were priced at zero; say so rather than leave it to the trace
+  const warnings = Object.entries(ctx)
+    .filter(([key]) => key.startsWith("__missingPricing__"))
+    .flatMap(([, items]) => items.map((item) => `No pricing in ${regionName} for ${item}; it is not included in the cost`));
+
+  return { monthly: Math.max(0, monthly), upfront: Math.max(0, upfront), calculationComponents: cc, breakdown, warnings };
 }
 
-async function calculateServiceCostFromDefinition(def, region, userInputs = {}, templateId = null, pricingByDefOverride = null) {
+async function calculateServiceCostFromDefinition(def, region, userInputs = {}, templateId = null, pricingByDefOverride = null, currency = "USD") {
   try {
     const regionName = REGION_NAMES[region] || region || "US East (N. Virginia)";
-    const pricingByDef = pricingByDefOverride || await fetchPricingForService(def, regionName, templateId);
+    const pricingByDef = pricingByDefOverride || await fetchPricingForService(def, regionName, templateId, currency);
     return computeCostFromPreparedDefinition(def, regionName, userInputs, templateId, pricingByDef);
   } catch {
     return null;
   }
 }
 
-async function calculateServiceCost(serviceCode, region, userInputs, templateId = null) {
+async function calculateServiceCost(serviceCode, region, userInputs, templateId = null, options = {}) {
+  const currency = options.currency || "USD";
+  const locale = options.locale || "en_US";
+  // options.explain collects an ordered trace of every engine step
+  const trace = options.explain ? [] : null;
   try {
-    const def = await fetchJSON(API.serviceDef(serviceCode));
-    const regionName = REGION_NAMES[region] || "US East (N. Virginia)";
+    const def = await fetchServiceDef(serviceCode, locale);
+    const regionName = await lookupRegionName(region, locale) || region || "US East (N. Virginia)";
 
-    // Handle services with subServices
+    // Handle services with subServices. Each one is priced with the inputs namespaced under its code
+    // in options.subServiceInputs (its defaults when none are given), not with the service's own inputs.
     const defs = [];
+    const subServiceCodes = new Set((def.subServices || []).map((sub) => sub.serviceCode));
     if (def.subServices?.length) {
       for (const sub of def.subServices) {
         try {
-          const subDef = await fetchJSON(API.serviceDef(sub.serviceCode));
+          const subDef = await fetchServiceDef(sub.serviceCode, locale);
           defs.push(subDef);
         } catch { /* skip failed subService */ }
       }
@@ -799,7 +2113,7 @@ async function calculateServiceCost(serviceCode, region, userInputs, templateId
       const loaderTemplates = templateId ? [templateId] : (def.defaultTemplates || def.templates);
       for (const tmplCode of loaderTemplates) {
         try {
-          const tmplDef = await fetchJSON(API.serviceDef(tmplCode));
+          const tmplDef = await fetchServiceDef(tmplCode, locale);
           defs.push(tmplDef);
         } catch { /* skip failed loader template */ }
       }
@@ -809,549 +2123,1989 @@ async function calculateServiceCost(serviceCode, region, userInputs, templateId
 
     let monthly = 0, upfront = 0;
     let rootCalculationComponents = {};
+    const warnings = [];
+    const missingPricing = [];
+    const breakdown = [];
+    const subServices = [];
 
     for (const d of defs) {
       // For loader sub-definitions, don't pass the parent templateId — use their own first template
       const subTemplateId = (d.serviceCode === def.serviceCode) ? templateId : null;
-      const pricingByDef = await fetchPricingForService(d, regionName, subTemplateId);
-      const result = computeCostFromPreparedDefinition(d, regionName, userInputs, subTemplateId, pricingByDef);
+      const pricingByDef = await fetchPricingForService(d, regionName, subTemplateId, currency);
+      const fallbackWarning = currencyFallbackWarning(pricingByDef, currency);
+      if (fallbackWarning) warnings.push(fallbackWarning);
+      // Empty maps mean the pricing file failed to load or has no prices for this region
+      for (const [name, priceMap] of Object.entries(pricingByDef)) {
+        if (name !== "__currencyFallbacks" && Object.keys(priceMap).length === 0) missingPricing.push(name.replace(/^__/, ""));
+      }
+      trace?.push({
+        step: "definition", serviceCode: d.serviceCode, templateId: subTemplateId, region: regionName,
+        mappingDefinitions: Object.fromEntries(Object.entries(pricingByDef).filter(([k]) => k !== "__currencyFallbacks").map(([k, v]) => [k, Object.keys(v).filter((unit) => !unit.startsWith("__attr__")).length])),
+      });
+      const isSubService = subServiceCodes.has(d.serviceCode);
+      const defInputs = isSubService ? options.subServiceInputs?.[d.serviceCode] || {} : userInputs;
+      const result = computeCostFromPreparedDefinition(d, regionName, defInputs, subTemplateId, pricingByDef, trace);
+      warnings.push(...result.warnings);
+      if (isSubService) {
+        subServices.push({ serviceCode: d.serviceCode, serviceName: d.serviceName || d.serviceCode, monthly: result.monthly, upfront: result.upfront, calculationComponents: result.calculationComponents });
+      }
       // Collect calculationComponents from the main def or the first loader sub-def
-      if (Object.keys(rootCalculationComponents).length === 0) {
+      if (!isSubService && Object.keys(rootCalculationComponents).length === 0) {
         rootCalculationComponents = result.calculationComponents;
       }
       monthly += result.monthly;
       upfront += result.upfront;
+      // Label lines with their sub-definition when several are priced together
+      for (const line of result.breakdown) breakdown.push(defs.length > 1 ? { service: d.serviceName || d.serviceCode, ...line } : line);
     }
 
-    return { monthly: Math.max(0, monthly), upfront: Math.max(0, upfront), calculationComponents: rootCalculationComponents };
+    if (missingPricing.length > 0) warnings.push(`No pricing data found in ${regionName} for: ${missingPricing.join(", ")}`);
+
+    const result = { monthly: Math.max(0, monthly), upfront: Math.max(0, upfront), calculationComponents: rootCalculationComponents, breakdown, currency, warnings, missingPricing };
+    // The service total is its own cost plus every subService's, so the parts always add up to it
+    if (subServices.length > 0) result.subServices = subServices;
+    if (trace) result.trace = trace;
+    return result;
   } catch {
     return null;
   }
 }
 
+// Price one service configuration and return the cost with its calculationComponents
+async function configureService({ serviceCode, region = "us-east-1", templateId = null, inputs = {}, subServices = {}, currency = "USD", locale = "en_US", explain = false }) {
+  const { def, templateId: activeTemplateId, inputs: allInputs } = await loadServiceInputs(serviceCode, templateId, locale);
+
+  // Pricing a region the service isn't offered in would quietly come out as zero
+  const regionIssue = await regionProblem(serviceCode, region, locale);
+  if (regionIssue) throw new Error(regionIssue);
+
+  // Reject inputs that don't match the service's schema; validateInputs explains them more precisely than zod
+  if (allInputs.length > 0) {
+    const parsed = inputsToZodSchema(allInputs).safeParse(inputs);
+    if (!parsed.success) {
+      const issues = validateInputs(allInputs, inputs);
+      const problems = issues.length > 0
+        ? issues.map(formatValidationIssue)
+        : parsed.error.issues.map((i) => `${i.path.join(".")}: ${i.message}`);
+      throw new Error(`Invalid inputs for ${def.serviceName}:\n${problems.map((p) => `  • ${p}`).join("\n")}\nSee jsonSchema in get_service_schema for the accepted fields and values.`);
+    }
+  }
+  const subIssues = await subServiceIssues(def, subServices, locale);
+  if (subIssues.length > 0) {
+    throw new Error(`Invalid subService inputs for ${def.serviceName}:\n${subIssues.map((i) => `  • ${formatValidationIssue(i)}`).join("\n")}\nSee subServices in get_service_schema for the accepted fields and values.`);
+  }
+
+  const cc = buildCalcComponents(allInputs, inputs);
+  const result = await calculateServiceCost(serviceCode, region, inputs, activeTemplateId, { currency, locale, explain, subServiceInputs: subServices });
+
+  const lines = [`🔧 ${def.serviceName} (${await lookupRegionName(region, locale) || region})`];
+  if (result) {
+    lines.push(`💰 Monthly: ${formatMoney(result.monthly, currency)} | Upfront: ${formatMoney(result.upfront, currency)}`);
+    for (const sub of result.subServices || []) {
+      lines.push(`  • ${sub.serviceName}: ${formatMoney(sub.monthly, currency)}/mo${sub.upfront ? ` + ${formatMoney(sub.upfront, currency)} upfront` : ""}`);
+    }
+  } else {
+    lines.push(`⚠️ Could not calculate cost automatically. Cost set to ${formatMoney(0, currency)}.`);
+  }
+
+  // Summarize configured values
+  const configured = Object.entries(inputs);
+  if (configured.length > 0) {
+    lines.push("", "Configured:");
+    for (const [k, v] of configured) {
+      const inp = allInputs.find((i) => i.id === k);
+      const label = inp?.label || k;
+      const display = typeof v === "object" && v !== null && "value" in v ? `${v.value} ${v.unit || ""}`.trim() : String(v);
+      lines.push(`  • ${label}: ${display}`);
+    }
+  }
+
+  lines.push("", "calculationComponents (use in create_estimate):");
+  lines.push(JSON.stringify(result?.calculationComponents || cc, null, 2));
+
+  const response = {
+    serviceName: def.serviceName,
+    serviceCode: def.serviceCode,
+    region,
+    currency,
+    monthlyCost: result?.monthly ?? 0,
+    upfrontCost: result?.upfront ?? 0,
+    calculationComponents: result?.calculationComponents || cc,
+    breakdown: result?.breakdown || [],
+    summary: lines.slice(0, 3).join("\n"),
+  };
+  if (activeTemplateId) response.templateId = activeTemplateId;
+  if (result?.subServices) {
+    response.subServices = result.subServices.map((sub) => ({ serviceCode: sub.serviceCode, serviceName: sub.serviceName, monthlyCost: sub.monthly, upfrontCost: sub.upfront, calculationComponents: sub.calculationComponents }));
+  }
+  if (result?.warnings?.length) response.warnings = result.warnings;
+  if (explain) response.trace = result?.trace || [];
+
+  return response;
+}
+
 // --- End pricing calculation engine ---
 
-const server = new McpServer({
-  name: "aws-calculator",
-  version: "1.0.0",
-});
+// --- Estimate building, saving and loading ---
 
-// Tool 1: Search services
-server.tool(
-  "search_services",
-  "Search AWS services available in the pricing calculator by keyword. Returns service codes needed for create_estimate.",
-  { query: z.string().describe("Search keyword (e.g. 'EC2', 'Lambda', 'CloudFront')") },
-  async ({ query }) => {
-    const manifest = await getManifest();
-    const q = query.toLowerCase();
-    const matches = manifest.awsServices
-      .filter((s) => {
-        const haystack = `${s.name} ${s.serviceCode} ${(s.searchKeywords || []).join(" ")}`.toLowerCase();
-        return haystack.includes(q);
-      })
-      .slice(0, 15)
-      .map((s) => ({
-        name: s.name.trim(),
-        serviceCode: s.serviceCode,
-        slug: s.slug || null,
-        regions: s.regions?.length || 0,
-      }));
-    return { content: [{ type: "text", text: JSON.stringify(matches, null, 2) }] };
+// User-provided components in the saved { value, unit? } form, for services whose definition can't be loaded
+function normalizeComponents(components) {
+  const cc = {};
+  for (const [k, v] of Object.entries(components || {})) {
+    cc[k] = typeof v === "object" && v !== null && "value" in v ? v : { value: v };
   }
-);
+  return cc;
+}
 
-// Tool 2: Get service schema (input fields)
-server.tool(
-  "get_service_schema",
-  `Get the input schema for a specific AWS service. Returns the fields you can set in calculationComponents when creating an estimate.
-Use the serviceCode from search_services. Each field has an 'id' (use as the key in calculationComponents) and for dropdown fields,
-use the 'value' property from the options array (not the 'label') when setting calculationComponents.
-For frequency/fileSize fields, provide { value: number, unit: "unitString" }.`,
-  { serviceCode: z.string().describe("Service code (e.g. 'amazonCloudFront', 'eC2Next')") },
-  async ({ serviceCode }) => {
-    const def = await fetchJSON(API.serviceDef(serviceCode));
-    let inputs = extractInputs(def);
-    const result = {
-      serviceName: def.serviceName,
-      serviceCode: def.serviceCode,
-      version: def.version,
-      layout: def.layout,
-      templates: [],
-      subServices: [],
-      inputs,
-    };
+// Build the saved entry for one service: resolve version and template from its definition,
+// merge calculationComponents with defaults, and auto-calculate the cost when monthlyCost is 0
+async function buildServiceEntry(svc, { currency = "USD", locale = "en_US" } = {}) {
+  const warnings = [];
+  let cc = {};
 
-    // Handle loader layout: templates are string IDs referencing separate service definitions
-    if (def.layout === "loader" && Array.isArray(def.templates) && typeof def.templates[0] === "string") {
-      result.templates = def.templates.map(id => ({ id, title: id }));
-      result.loaderTemplates = [];
-      for (const tmplCode of def.templates) {
-        try {
-          const tmplDef = await fetchJSON(API.serviceDef(tmplCode));
-          const tmplInputs = extractInputs(tmplDef);
-          result.loaderTemplates.push({
-            serviceCode: tmplCode,
-            serviceName: tmplDef.serviceName,
-            inputs: tmplInputs,
-          });
-        } catch { /* skip */ }
-      }
-      // Use inputs from default template if main def has none
-      if (inputs.length === 0 && result.loaderTemplates.length > 0) {
-        const defaultCode = def.defaultTemplates?.[0];
-        const defaultTmpl = result.loaderTemplates.find(t => t.serviceCode === defaultCode) || result.loaderTemplates[0];
-        result.inputs = defaultTmpl.inputs;
-      }
-    } else {
-      result.templates = (def.templates || []).map(t => ({ id: t.id, title: t.title }));
+  // Try to fetch service definition for version, structure, and input schema
+  let serviceCode = svc.serviceCode;
+  // Redirect deprecated service codes for editable estimates
+  const redirectedCode = SERVICE_REDIRECTS[serviceCode];
+  if (redirectedCode) serviceCode = redirectedCode;
+  let version = "0.0.1", estimateFor = serviceCode, subServices = undefined;
+  // Agent's templateId is a hint for which template to use, not the final value
+  let templateHint = svc.templateId || null;
+  let templateId = null;
+  let inputs = [];
+  try {
+    const def = await fetchServiceDef(serviceCode, locale);
+    version = def.version || version;
+    // Resolve the correct templateId and serviceCode from the definition
+    if (def.layout === "loader" && def.templates?.length > 0 && typeof def.templates[0] === "string") {
+      // Loader layout (S3, ELB, DynamoDB): resolve to sub-definition
+      const subCode = templateHint || def.defaultTemplates?.[0] || def.templates[0];
+      try {
+        const subDef = await fetchServiceDef(subCode, locale);
+        templateId = subDef.templates?.[0]?.id || null;
+        serviceCode = subCode;
+        version = subDef.version || version;
+      } catch { templateId = null; }
+    } else if (def.templates?.length > 0) {
+      // Simple layout: find matching template or use first
+      const match = templateHint && def.templates.find(t => t.id === templateHint);
+      templateId = match ? match.id : def.templates[0].id || null;
     }
-    
-    // Note for loader layout
-    if (def.layout === "loader" && result.inputs.length === 0) {
-      result.note = "This service uses dynamic loading (layout: 'loader'). calculationComponents cannot be auto-populated and should be omitted when creating estimates.";
+    // estimateFor = template ID (what the calculator UI uses for rehydration)
+    estimateFor = templateId || serviceCode;
+    inputs = extractInputs(def, templateId);
+    // For loader layout, extract inputs from the sub-definition
+    if (inputs.length === 0 && def.layout === "loader" && serviceCode !== svc.serviceCode) {
+      try {
+        const subDef = await fetchServiceDef(serviceCode, locale);
+        inputs = extractInputs(subDef, templateId);
+      } catch { /* use empty inputs */ }
     }
-    
-    // Fetch subService schemas if they exist
+
+    // If service has subServices in its definition, build them properly. Their costs are filled in once priced below.
     if (def.subServices?.length) {
+      subServices = [];
       for (const sub of def.subServices) {
         try {
-          const subDef = await fetchJSON(API.serviceDef(sub.serviceCode));
+          const subDef = await fetchServiceDef(sub.serviceCode, locale);
+          const subTemplateId = subDef.templates?.[0]?.id || null;
           const subInputs = extractInputs(subDef);
-          result.subServices.push({
+          const subCC = buildCalcComponents(subInputs, svc.subServices?.[sub.serviceCode] || {});
+          subServices.push({
             serviceCode: sub.serviceCode,
-            serviceName: subDef.serviceName,
-            version: subDef.version,
-            inputs: subInputs,
+            region: svc.region,
+            estimateFor: subTemplateId || sub.serviceCode,
+            version: subDef.version || "0.0.1",
+            description: null,
+            calculationComponents: subCC,
+            serviceCost: { monthly: 0, upfront: 0 },
           });
         } catch {
-          result.subServices.push({
+          subServices.push({
             serviceCode: sub.serviceCode,
-            serviceName: sub.serviceCode,
+            region: svc.region,
+            estimateFor: sub.serviceCode,
             version: "0.0.1",
-            inputs: [],
+            description: null,
+            calculationComponents: normalizeComponents(svc.subServices?.[sub.serviceCode]),
+            serviceCost: { monthly: 0, upfront: 0 },
           });
         }
       }
     }
-    
-    return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
-  }
-);
-
-// Tool 2.5: Configure a service and calculate cost
-server.tool(
-  "configure_service",
-  `Configure an AWS service with specific parameters and get the calculated monthly cost.
-This tool fetches real-time AWS pricing data and calculates the exact cost based on your configuration.
-Use serviceCode from search_services. Pass input field values from get_service_schema as the 'inputs' parameter.
-Returns the calculated monthly/upfront costs and the formatted calculationComponents ready for create_estimate.`,
-  {
-    serviceCode: z.string().describe("Service code from search_services"),
-    region: z.string().default("us-east-1").describe("AWS region code"),
-    templateId: z.string().optional().describe("Optional template ID for services with multiple calculator templates"),
-    inputs: z.record(z.any()).default({}).describe("Input field values keyed by field ID from get_service_schema"),
-  },
-  async ({ serviceCode, region, templateId, inputs }) => {
-    const def = await fetchJSON(API.serviceDef(serviceCode));
-    let activeTemplateId = templateId || def.templates?.[0]?.id || null;
-    let allInputs = extractInputs(def, activeTemplateId);
-
-    // For loader layout, fetch the actual template definition for input extraction
-    if (def.layout === "loader" && Array.isArray(def.templates) && typeof def.templates[0] === "string") {
-      const tmplCode = templateId || def.defaultTemplates?.[0] || def.templates[0];
-      activeTemplateId = tmplCode;
-      try {
-        const tmplDef = await fetchJSON(API.serviceDef(tmplCode));
-        allInputs = extractInputs(tmplDef);
-      } catch { /* use empty inputs */ }
-    }
 
-    const cc = buildCalcComponents(allInputs, inputs);
-    const result = await calculateServiceCost(serviceCode, region, inputs, activeTemplateId);
+    // Build calculationComponents: merge defaults with user inputs, resolving labels
+    cc = buildCalcComponents(inputs, svc.calculationComponents || {});
+  } catch {
+    // Service definition not found, use user-provided components or empty
+    cc = normalizeComponents(svc.calculationComponents);
+  }
 
-    const lines = [`🔧 ${def.serviceName} (${REGION_NAMES[region] || region})`];
-    if (result) {
-      lines.push(`💰 Monthly: $${result.monthly.toFixed(2)} | Upfront: $${result.upfront.toFixed(2)}`);
-    } else {
-      lines.push(`⚠️ Could not calculate cost automatically. Cost set to $0.00.`);
-    }
-
-    // Summarize configured values
-    const configured = Object.entries(inputs);
-    if (configured.length > 0) {
-      lines.push("", "Configured:");
-      for (const [k, v] of configured) {
-        const inp = allInputs.find((i) => i.id === k);
-        const label = inp?.label || k;
-        const display = typeof v === "object" && v !== null && "value" in v ? `${v.value} ${v.unit || ""}`.trim() : String(v);
-        lines.push(`  • ${label}: ${display}`);
+  // Auto-calculate cost if monthlyCost is 0. A manual cost covers the whole service, so its subServices keep a zero cost.
+  let monthlyCost = svc.monthlyCost || 0;
+  let upfrontCost = svc.upfrontCost || 0;
+  let breakdown = [];
+  if (monthlyCost === 0) {
+    const calcResult = await calculateServiceCost(svc.serviceCode, svc.region, svc.calculationComponents || {}, svc.templateId || templateHint, { currency, locale, subServiceInputs: svc.subServices });
+    if (calcResult) {
+      monthlyCost = calcResult.monthly;
+      upfrontCost = upfrontCost || calcResult.upfront;
+      breakdown = calcResult.breakdown;
+      for (const w of calcResult.warnings) warnings.push(`⚠️ ${svc.serviceName}: ${w}`);
+      for (const sub of subServices || []) {
+        const priced = calcResult.subServices?.find((p) => p.serviceCode === sub.serviceCode);
+        if (priced) sub.serviceCost = { monthly: priced.monthly, upfront: priced.upfront };
       }
     }
-
-    lines.push("", "calculationComponents (use in create_estimate):");
-    lines.push(JSON.stringify(result?.calculationComponents || cc, null, 2));
-
-    const response = {
-      serviceName: def.serviceName,
-      serviceCode: def.serviceCode,
-      region,
-      monthlyCost: result?.monthly ?? 0,
-      upfrontCost: result?.upfront ?? 0,
-      calculationComponents: result?.calculationComponents || cc,
-      summary: lines.slice(0, 3).join("\n"),
-    };
-    if (activeTemplateId) response.templateId = activeTemplateId;
-
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify(response, null, 2),
-      }],
-    };
   }
-);
 
-// Tool 3: Create estimate and get shareable link
-server.tool(
-  "create_estimate",
-  `Create an AWS Pricing Calculator estimate and return a shareable, editable link.
-Each service needs: serviceCode, region, serviceName. monthlyCost is auto-calculated if 0 or not provided.
-Optionally provide calculationComponents (key-value pairs from get_service_schema) for the estimate to render detailed configs when opened.
-Use the 'value' field (not the 'label') from option objects returned by get_service_schema.
-For frequency/fileSize fields, provide { value: number, unit: "unitString" }.
-Optionally provide a 'group' name for each service to organize them into groups.`,
-  {
-    name: z.string().describe("Estimate name"),
-    services: z
-      .array(
-        z.object({
-          serviceCode: z.string().describe("Service code from search_services"),
-          region: z.string().default("us-east-1").describe("AWS region code"),
-          regionName: z.string().optional().describe("Human-readable region name"),
-          serviceName: z.string().describe("Display name (e.g. 'Amazon EC2')"),
-          description: z.string().optional().describe("Service description/notes"),
-          monthlyCost: z.number().default(0).describe("Monthly cost in USD (auto-calculated if 0)"),
-          upfrontCost: z.number().default(0).describe("Upfront cost in USD"),
-          configSummary: z.string().optional().describe("Brief config summary shown in the estimate table"),
-          calculationComponents: z.record(z.any()).optional().describe("Key-value input params from get_service_schema"),
-          templateId: z.string().optional().describe("Template ID for the service (auto-detected if not provided). Controls which configuration form is shown when editing."),
-          group: z.string().optional().describe("Group name to organize this service under"),
-        })
-      )
-      .describe("Array of services to include"),
-  },
-  async ({ name, services }) => {
-    const svcMap = {};
-    const groupMap = {}; // Track which services belong to which groups
-    let totalMonthly = 0, totalUpfront = 0;
-
-    for (const svc of services) {
-      const key = `${svc.serviceCode}-${crypto.randomUUID()}`;
-      let cc = {};
-
-      // Try to fetch service definition for version, structure, and input schema
-      let serviceCode = svc.serviceCode;
-      // Redirect deprecated service codes for editable estimates
-      const redirectedCode = SERVICE_REDIRECTS[serviceCode];
-      if (redirectedCode) serviceCode = redirectedCode;
-      let version = "0.0.1", estimateFor = serviceCode, subServices = undefined;
-      // Agent's templateId is a hint for which template to use, not the final value
-      let templateHint = svc.templateId || null;
-      let templateId = null;
-      let inputs = [];
-      try {
-        const def = await fetchJSON(API.serviceDef(serviceCode));
-        version = def.version || version;
-        // Resolve the correct templateId and serviceCode from the definition
-        if (def.layout === "loader" && def.templates?.length > 0 && typeof def.templates[0] === "string") {
-          // Loader layout (S3, ELB, DynamoDB): resolve to sub-definition
-          const subCode = templateHint || def.defaultTemplates?.[0] || def.templates[0];
-          try {
-            const subDef = await fetchJSON(API.serviceDef(subCode));
-            templateId = subDef.templates?.[0]?.id || null;
-            serviceCode = subCode;
-            version = subDef.version || version;
-          } catch { templateId = null; }
-        } else if (def.templates?.length > 0) {
-          // Simple layout: find matching template or use first
-          const match = templateHint && def.templates.find(t => t.id === templateHint);
-          templateId = match ? match.id : def.templates[0].id || null;
-        }
-        // estimateFor = template ID (what the calculator UI uses for rehydration)
-        estimateFor = templateId || serviceCode;
-        inputs = extractInputs(def, templateId);
-        // For loader layout, extract inputs from the sub-definition
-        if (inputs.length === 0 && def.layout === "loader" && serviceCode !== svc.serviceCode) {
-          try {
-            const subDef = await fetchJSON(API.serviceDef(serviceCode));
-            inputs = extractInputs(subDef, templateId);
-          } catch { /* use empty inputs */ }
-        }
+  const entry = {
+    version,
+    serviceCode,
+    estimateFor,
+    region: svc.region,
+    description: svc.description || null,
+    calculationComponents: cc,
+    serviceCost: { monthly: monthlyCost, upfront: upfrontCost },
+    serviceName: svc.serviceName,
+    regionName: svc.regionName || await lookupRegionName(svc.region, locale) || svc.region,
+    configSummary: svc.configSummary || "",
+  };
+  if (templateId) entry.templateId = templateId;
+  if (subServices) entry.subServices = subServices;
 
-        // If service has subServices in its definition, build them properly
-        if (def.subServices?.length) {
-          subServices = [];
-          for (const sub of def.subServices) {
-            try {
-              const subDef = await fetchJSON(API.serviceDef(sub.serviceCode));
-              const subTemplateId = subDef.templates?.[0]?.id || null;
-              const subInputs = extractInputs(subDef);
-              const subCC = buildCalcComponents(subInputs);
-              subServices.push({
-                serviceCode: sub.serviceCode,
-                region: svc.region,
-                estimateFor: subTemplateId || sub.serviceCode,
-                version: subDef.version || "0.0.1",
-                description: null,
-                calculationComponents: subCC,
-                serviceCost: { monthly: 0, upfront: 0 },
-              });
-            } catch {
-              subServices.push({
-                serviceCode: sub.serviceCode,
-                region: svc.region,
-                estimateFor: sub.serviceCode,
-                version: "0.0.1",
-                description: null,
-                calculationComponents: {},
-                serviceCost: { monthly: 0, upfront: 0 },
-              });
-            }
-          }
-        }
+  return { entry, warnings, breakdown };
+}
 
-        // Build calculationComponents: merge defaults with user inputs, resolving labels
-        cc = buildCalcComponents(inputs, svc.calculationComponents || {});
-      } catch {
-        // Service definition not found, use user-provided components or empty
-        if (svc.calculationComponents) {
-          for (const [k, v] of Object.entries(svc.calculationComponents)) {
-            cc[k] = typeof v === "object" && v !== null && "value" in v ? v : { value: v };
-          }
-        }
+// Save an estimate payload and return its shareable link. If the API rejects the
+// calculationComponents, the estimate is saved again without them and warnings explain why.
+async function saveEstimate(payload) {
+  // Issue 2 & 3: Try with calculationComponents first, fallback without them
+  let resp = await httpFetch(API.save, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  
+  let respText = await resp.text();
+  const warnings = [];
+  
+  // Issue 3: Better error handling with response body
+  if (!resp.ok) {
+    // Fallback - strip calculationComponents and retry
+    const strippedServices = [];
+    for (const [key, svc] of Object.entries(payload.services)) {
+      if (Object.keys(svc.calculationComponents || {}).length > 0) {
+        strippedServices.push(svc.serviceName);
       }
-
-      // Auto-calculate cost if monthlyCost is 0
-      let monthlyCost = svc.monthlyCost || 0;
-      let upfrontCost = svc.upfrontCost || 0;
-      if (monthlyCost === 0) {
-        const calcResult = await calculateServiceCost(svc.serviceCode, svc.region, svc.calculationComponents || {}, svc.templateId || templateHint);
-        if (calcResult) {
-          monthlyCost = calcResult.monthly;
-          upfrontCost = upfrontCost || calcResult.upfront;
+      svc.calculationComponents = {};
+      if (svc.subServices) {
+        for (const sub of svc.subServices) {
+          sub.calculationComponents = {};
         }
       }
-
-      const entry = {
-        version,
-        serviceCode,
-        estimateFor,
-        region: svc.region,
-        description: svc.description || null,
-        calculationComponents: cc,
-        serviceCost: { monthly: monthlyCost, upfront: upfrontCost },
-        serviceName: svc.serviceName,
-        regionName: svc.regionName || REGION_NAMES[svc.region] || svc.region,
-        configSummary: svc.configSummary || "",
-      };
-      if (templateId) entry.templateId = templateId;
-      if (subServices) entry.subServices = subServices;
-
-      svcMap[key] = entry;
-      totalMonthly += monthlyCost;
-      totalUpfront += upfrontCost;
-      
-      // Issue 1: Track group membership
-      if (svc.group) {
-        if (!groupMap[svc.group]) groupMap[svc.group] = [];
-        groupMap[svc.group].push(key);
-      }
-    }
-
-    // Issue 1: Build groups structure from groupMap
-    const groupsObj = {};
-    for (const [groupName, serviceKeys] of Object.entries(groupMap)) {
-      const groupId = `group-${crypto.randomUUID()}`;
-      groupsObj[groupId] = {
-        name: groupName,
-        services: serviceKeys,
-      };
     }
-
-    const payload = {
-      name,
-      services: svcMap,
-      groups: groupsObj,
-      groupSubtotal: { monthly: totalMonthly, upfront: totalUpfront },
-      totalCost: { monthly: totalMonthly, upfront: totalUpfront },
-      support: {},
-      metaData: {
-        locale: "en_US",
-        currency: "USD",
-        createdOn: new Date().toISOString(),
-        source: "calculator-platform",
-      },
-    };
-
-    // Issue 2 & 3: Try with calculationComponents first, fallback without them
-    let resp = await fetch(API.save, {
+    
+    const retryResp = await httpFetch(API.save, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify(payload),
     });
     
-    let respText = await resp.text();
-    let warnings = [];
+    const retryText = await retryResp.text();
     
-    // Issue 3: Better error handling with response body
-    if (!resp.ok) {
-      // Fallback - strip calculationComponents and retry
-      const strippedServices = [];
-      for (const [key, svc] of Object.entries(payload.services)) {
-        if (Object.keys(svc.calculationComponents || {}).length > 0) {
-          strippedServices.push(svc.serviceName);
-        }
-        svc.calculationComponents = {};
-        if (svc.subServices) {
-          for (const sub of svc.subServices) {
-            sub.calculationComponents = {};
-          }
-        }
+    if (!retryResp.ok) {
+      throw new Error(`Failed to save estimate: ${resp.status} ${resp.statusText}. Response: ${respText}. Retry also failed: ${retryResp.status} ${retryText}`);
+    }
+    
+    warnings.push(`⚠️ calculationComponents were rejected by the API (${resp.status}: ${respText.substring(0, 200)}). The estimate was saved without detailed configurations.`);
+    warnings.push(`To fix: use get_service_schema to verify field IDs and option values, then recreate with corrected calculationComponents.`);
+    if (strippedServices.length > 0) {
+      warnings.push(`Affected services: ${strippedServices.join(", ")}`);
+    }
+    
+    resp = retryResp;
+    respText = retryText;
+  }
+  
+  const result = JSON.parse(respText);
+  if (result.statusCode !== 201 || !result.body) {
+    throw new Error(`Save API returned unexpected response: ${respText}`);
+  }
+  
+  const body = JSON.parse(result.body);
+  if (!body.savedKey) {
+    throw new Error(`No savedKey in response: ${JSON.stringify(body)}`);
+  }
+  
+  const url = API.estimateLink(body.savedKey);
+
+  return { url, savedKey: body.savedKey, warnings };
+}
+
+// AWS Support plans. The monthly charge is the greater of the minimum and a percentage of the
+// month's AWS charges, tiered by spend: each [from, rate] applies to the spend above 'from'.
+// Only recurring monthly charges count as spend. Upfront fees (Reserved Instances, Savings Plans) are
+// left out, so the support charge for the month an upfront fee is billed comes out lower than AWS bills it.
+const SUPPORT_PLANS = {
+  basic: { name: "Basic", minimum: 0, tiers: [] },
+  developer: { name: "Developer", minimum: 29, tiers: [[0, 0.03]] },
+  business: { name: "Business", minimum: 100, tiers: [[0, 0.1], [10000, 0.07], [80000, 0.05], [250000, 0.03]] },
+  enterpriseOnRamp: { name: "Enterprise On-Ramp", minimum: 5500, tiers: [[0, 0.1]] },
+  enterprise: { name: "Enterprise", minimum: 15000, tiers: [[0, 0.1], [150000, 0.07], [500000, 0.05], [1000000, 0.03]] },
+};
+const SUPPORT_PLAN_IDS = Object.keys(SUPPORT_PLANS);
+
+// Support charge for a month of AWS spend, with the amount charged in each spend tier
+function supportCharge(plan, monthlySpend) {
+  const { minimum, tiers } = SUPPORT_PLANS[plan];
+  const brackets = tiers.map(([from, rate], i) => {
+    const to = tiers[i + 1]?.[0] ?? Infinity;
+    const amount = Math.max(0, Math.min(monthlySpend, to) - from) * rate;
+    return { from, to, rate, amount };
+  });
+  const percentage = brackets.reduce((sum, b) => sum + b.amount, 0);
+  return { monthly: Math.max(minimum, percentage), minimum, percentage, minimumApplied: minimum > percentage, brackets };
+}
+
+// The estimate's support section for a plan, or {} without one
+function buildSupportSection(plan, monthlySpend, currency = "USD") {
+  if (!plan || plan === "basic") return {};
+  const charge = supportCharge(plan, monthlySpend);
+  const { name } = SUPPORT_PLANS[plan];
+  const money = (amount) => formatMoney(amount, currency);
+  const rates = charge.brackets
+    .map((b) => `${Math.round(b.rate * 100)}% of ${b.to === Infinity ? `spend over ${money(b.from)}` : `${money(b.from)}–${money(b.to)}`}`)
+    .join(", ");
+  return {
+    supportPlan: plan,
+    serviceName: `AWS Support (${name})`,
+    serviceCost: { monthly: charge.monthly, upfront: 0 },
+    configSummary: `${name} support on ${money(monthlySpend)} monthly AWS charges: greater of ${money(charge.minimum)} or ${rates}`,
+  };
+}
+
+// Build, price and save a new estimate. Services with a 'group' path ("prod/web/frontend") are collected into nested groups.
+// Returns { url, payload, warnings, breakdowns } where breakdowns holds the itemized lines per service key.
+async function createEstimate({ name, currency = "USD", locale = "en_US", services, supportPlan = null }) {
+  const svcMap = {};
+  const breakdowns = {};
+  const groupsObj = {};
+  let totalMonthly = 0, totalUpfront = 0;
+  const pricingWarnings = [];
+
+  // Plan minimums and tier boundaries are USD amounts, so they can't be applied to other currencies
+  if (supportPlan && supportPlan !== "basic" && currency !== "USD") {
+    throw new Error(`supportPlan is only available for USD estimates (support plan minimums and tiers are USD amounts); this estimate is in ${currency}.`);
+  }
+  await validateServices(services, locale);
+
+  for (const svc of services) {
+    const key = `${svc.serviceCode}-${crypto.randomUUID()}`;
+    const { entry, warnings, breakdown } = await buildServiceEntry(svc, { currency, locale });
+    pricingWarnings.push(...warnings);
+
+    svcMap[key] = entry;
+    if (breakdown.length > 0) breakdowns[key] = breakdown;
+    totalMonthly += entry.serviceCost.monthly;
+    totalUpfront += entry.serviceCost.upfront;
+    if (svc.group) addToGroup(groupsObj, svc.group, key);
+  }
+  computeGroupSubtotals(groupsObj, svcMap);
+
+  // Support is charged on the month's AWS charges and counts towards the total
+  const support = buildSupportSection(supportPlan, totalMonthly, currency);
+
+  const payload = {
+    name,
+    services: svcMap,
+    groups: groupsObj,
+    groupSubtotal: { monthly: totalMonthly, upfront: totalUpfront },
+    totalCost: { monthly: totalMonthly + (support.serviceCost?.monthly || 0), upfront: totalUpfront },
+    support,
+    metaData: {
+      locale,
+      currency,
+      createdOn: new Date().toISOString(),
+      source: "calculator-platform",
+    },
+  };
+
+  const { url, warnings: saveWarnings } = await saveEstimate(payload);
+  return { url, payload, warnings: [...pricingWarnings, ...saveWarnings], breakdowns };
+}
+
+// Text summary of a newly saved estimate, shared by create_estimate and create_estimate_from_spec
+function formatCreatedEstimate({ url, payload, warnings, breakdowns = {} }) {
+  const { name, services, groups, totalCost, support } = payload;
+  const currency = payload.metaData.currency;
+  const output = [
+    `✅ Estimate "${name}" saved successfully!`,
+    "",
+    `🔗 Shareable link: ${url}`,
+    "",
+    `Monthly: ${formatMoney(totalCost.monthly, currency)} | Upfront: ${formatMoney(totalCost.upfront, currency)} | 12-month: ${formatMoney(totalCost.monthly * 12 + totalCost.upfront, currency)}`,
+    "",
+  ];
+  
+  if (Object.keys(groups).length > 0) {
+    output.push("Groups:", ...formatGroupTree(groups, services, currency));
+    output.push("");
+  }
+  
+  const groupOf = groupPathsByService(groups);
+  output.push(`Services: ${Object.keys(services).length}`);
+  for (const [key, entry] of Object.entries(services)) {
+    const grp = groupOf[key] ? ` [${groupOf[key]}]` : "";
+    output.push(`  • ${entry.serviceName} (${entry.region}): ${formatMoney(entry.serviceCost.monthly, currency)}/mo${grp}`);
+    for (const line of breakdowns[key] || []) output.push(`      ${formatBreakdownLine(line, currency)}`);
+  }
+  if (support?.serviceCost) {
+    output.push(`  • ${support.serviceName}: ${formatMoney(support.serviceCost.monthly, currency)}/mo`);
+    output.push(`      ${support.configSummary}`);
+  }
+  
+  if (warnings.length > 0) {
+    output.push("");
+    output.push(...warnings);
+  }
+  return output.join("\n");
+}
+
+// Text summary of a loaded estimate for load_estimate, with groups rendered as a tree
+function formatLoadedEstimate(data) {
+  const services = Object.values(data.services || {}).map((s) => ({
+    serviceName: s.serviceName,
+    serviceCode: s.serviceCode,
+    region: s.region,
+    regionName: s.regionName,
+    templateId: s.templateId || null,
+    monthlyCost: s.serviceCost?.monthly || 0,
+    upfrontCost: s.serviceCost?.upfront || 0,
+    configSummary: s.configSummary,
+    description: s.description,
+    hasComponents: Object.keys(s.calculationComponents || {}).length > 0,
+  }));
+
+  const currency = data.metaData?.currency || "USD";
+  const describe = (s) => {
+    const editable = s.hasComponents && s.templateId;
+    const editStatus = editable ? "✅ editable" : s.hasComponents ? "⚠️ missing templateId" : "⚠️ no config data";
+    return `${s.serviceName} (${s.regionName}): ${formatMoney(s.monthlyCost, currency)}/mo [${editStatus}]`;
+  };
+  // Groups render as a tree with subtotals worked out from the services they contain
+  const groups = structuredClone(data.groups || {});
+  computeGroupSubtotals(groups, data.services || {});
+  const byKey = Object.fromEntries(Object.keys(data.services || {}).map((key, i) => [key, services[i]]));
+  const grouped = groupPathsByService(groups);
+  const ungrouped = Object.keys(byKey).filter((key) => !grouped[key]);
+  const serviceLines = Object.keys(groups).length === 0
+    ? ["Services:", ...services.map((s) => `  • ${describe(s)}`)]
+    : [
+      "Groups:",
+      ...formatGroupTree(groups, byKey, currency, describe),
+      ...(ungrouped.length ? ["", "Ungrouped services:", ...ungrouped.map((key) => `  • ${describe(byKey[key])}`)] : []),
+    ];
+  return [
+    `📋 Estimate: ${data.name}`,
+    `💰 Monthly: ${formatMoney(data.totalCost?.monthly, currency)} | Upfront: ${formatMoney(data.totalCost?.upfront, currency)}`,
+    `📅 Created: ${data.metaData?.createdOn}`,
+    "",
+    ...serviceLines,
+    ...(data.support?.serviceCost ? ["", `Support: ${data.support.serviceName}: ${formatMoney(data.support.serviceCost.monthly, currency)}/mo`] : []),
+  ].join("\n");
+}
+
+// Fetch a saved estimate by ID or shareable link. Returns { id, data }.
+async function loadEstimate(estimateId) {
+  // Extract ID from URL if needed (IDs can contain hex chars, uppercase, hyphens, etc.)
+  const match = estimateId.match(/id=([a-zA-Z0-9-]+)/);
+  const id = match ? match[1] : estimateId;
+
+  let data;
+  try {
+    const resp = await httpFetch(`${API.load}/${id}`);
+    if (!resp.ok) {
+      throw new Error(`HTTP ${resp.status}`);
+    }
+    const text = await resp.text();
+    // Check if response is XML (error) or JSON
+    if (text.trim().startsWith('<')) {
+      throw new Error('Estimate not found or access denied');
+    }
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Failed to load estimate '${id}': ${e.message}. Check that the estimate ID is valid.`);
+  }
+
+  return { id, data };
+}
+
+// Find the key of a service in a loaded estimate by key, display name or service code
+function findServiceKey(services, ref) {
+  if (services[ref]) return ref;
+  const keys = Object.keys(services);
+  const wanted = ref.toLowerCase();
+  const byName = keys.filter((k) => (services[k].serviceName || "").toLowerCase() === wanted);
+  const matches = byName.length > 0 ? byName : keys.filter((k) => services[k].serviceCode === ref);
+  if (matches.length === 1) return matches[0];
+  if (matches.length === 0) {
+    const available = keys.map((k) => `${services[k].serviceName} (${k})`).join(", ");
+    throw new Error(`No service matches '${ref}'. Services in this estimate: ${available || "none"}`);
+  }
+  throw new Error(`'${ref}' matches ${matches.length} services; use one of these keys instead: ${matches.join(", ")}`);
+}
+
+function sumServiceCosts(services) {
+  let monthly = 0, upfront = 0;
+  for (const svc of Object.values(services)) {
+    monthly += svc.serviceCost?.monthly || 0;
+    upfront += svc.serviceCost?.upfront || 0;
+  }
+  return { monthly, upfront };
+}
+
+// Group path segments: "prod / web/frontend" → ["prod", "web", "frontend"]
+function groupPathSegments(groupPath) {
+  return String(groupPath ?? "").split("/").map((name) => name.trim()).filter(Boolean);
+}
+
+function removeFromGroups(groups, key) {
+  for (const group of Object.values(groups)) {
+    group.services = (group.services || []).filter((k) => k !== key);
+    if (group.groups) removeFromGroups(group.groups, key);
+  }
+}
+
+// Add a service to the group at a path, creating any missing groups along the way
+function addToGroup(groups, groupPath, key) {
+  let level = groups;
+  let group = null;
+  for (const name of groupPathSegments(groupPath)) {
+    group = Object.values(level).find((g) => g.name === name);
+    if (!group) {
+      group = { name, services: [], groups: {} };
+      level[`group-${crypto.randomUUID()}`] = group;
+    }
+    group.services ??= [];
+    group.groups ??= {};
+    level = group.groups;
+  }
+  group?.services.push(key);
+}
+
+// Service key → group path, e.g. { "aWSLambda-…": "prod/web/frontend" }
+function groupPathsByService(groups = {}, prefix = "", paths = {}) {
+  for (const group of Object.values(groups)) {
+    const groupPath = prefix ? `${prefix}/${group.name}` : group.name;
+    for (const key of group.services || []) paths[key] = groupPath;
+    groupPathsByService(group.groups, groupPath, paths);
+  }
+  return paths;
+}
+
+// Indented group tree with each group's subtotal. With describeService, each group also lists its services.
+function formatGroupTree(groups, services, currency, describeService = null, depth = 1) {
+  const lines = [];
+  const indent = "  ".repeat(depth);
+  for (const group of Object.values(groups || {})) {
+    const subtotal = group.groupSubtotal || { monthly: 0, upfront: 0 };
+    const upfront = subtotal.upfront ? ` + ${formatMoney(subtotal.upfront, currency)} upfront` : "";
+    lines.push(`${indent}📁 ${group.name}: ${formatMoney(subtotal.monthly, currency)}/mo${upfront}`);
+    lines.push(...formatGroupTree(group.groups, services, currency, describeService, depth + 1));
+    if (describeService) {
+      for (const key of group.services || []) {
+        if (services[key]) lines.push(`${indent}  • ${describeService(services[key])}`);
       }
-      
-      const retryResp = await fetch(API.save, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
-      
-      const retryText = await retryResp.text();
-      
-      if (!retryResp.ok) {
-        throw new Error(`Failed to save estimate: ${resp.status} ${resp.statusText}. Response: ${respText}. Retry also failed: ${retryResp.status} ${retryText}`);
+    }
+  }
+  return lines;
+}
+
+// Set each group's groupSubtotal to its own services plus its nested groups; returns the sum of the level
+function computeGroupSubtotals(groups = {}, services = {}) {
+  const total = { monthly: 0, upfront: 0 };
+  for (const group of Object.values(groups)) {
+    const own = sumServiceCosts((group.services || []).map((key) => services[key]).filter(Boolean));
+    const nested = computeGroupSubtotals(group.groups, services);
+    group.groupSubtotal = { monthly: own.monthly + nested.monthly, upfront: own.upfront + nested.upfront };
+    total.monthly += group.groupSubtotal.monthly;
+    total.upfront += group.groupSubtotal.upfront;
+  }
+  return total;
+}
+
+// Saved subService components keyed by code, with modified inputs merged over them
+function mergeSubServiceInputs(saved = [], changes = {}) {
+  const merged = {};
+  for (const sub of saved) merged[sub.serviceCode] = { ...sub.calculationComponents };
+  for (const [code, inputs] of Object.entries(changes)) merged[code] = { ...merged[code], ...inputs };
+  return merged;
+}
+
+// Apply remove/modify/add operations to a loaded estimate. Modified and added services are
+// re-priced through buildServiceEntry; untouched services and group membership are kept as they are,
+// and every group's subtotal is recomputed.
+async function applyEstimateUpdate(data, { name, add = [], remove = [], modify = [] } = {}) {
+  const currency = data.metaData?.currency || "USD";
+  const locale = data.metaData?.locale || "en_US";
+  const services = structuredClone(data.services || {});
+  const groups = structuredClone(data.groups || {});
+  const changes = [];
+  const warnings = [];
+
+  // Check new inputs up front so a bad modification doesn't leave a half-applied update
+  await validateServices([
+    ...modify.map((mod) => {
+      const existing = services[findServiceKey(services, mod.service)];
+      return { serviceCode: existing.serviceCode, serviceName: existing.serviceName, region: mod.region, templateId: mod.templateId || existing.templateId, calculationComponents: mod.calculationComponents, subServices: mod.subServices };
+    }),
+    ...add,
+  ], locale);
+
+  for (const ref of remove) {
+    const key = findServiceKey(services, ref);
+    changes.push({ action: "removed", key, serviceName: services[key].serviceName, before: services[key].serviceCost, after: null });
+    delete services[key];
+    removeFromGroups(groups, key);
+  }
+
+  for (const mod of modify) {
+    const key = findServiceKey(services, mod.service);
+    const existing = services[key];
+    // Only a new configuration, region, template or manual cost re-prices the service.
+    // Renames, notes and group moves keep its saved entry and cost.
+    const reprice = Boolean(mod.calculationComponents || mod.subServices || mod.region || mod.templateId) || mod.monthlyCost != null || mod.upfrontCost != null;
+    let entry = { ...existing };
+    if (mod.serviceName) entry.serviceName = mod.serviceName;
+    if (mod.description != null) entry.description = mod.description;
+    if (mod.configSummary != null) entry.configSummary = mod.configSummary;
+    if (reprice) {
+      const built = await buildServiceEntry({
+        serviceCode: existing.serviceCode,
+        region: mod.region || existing.region,
+        regionName: mod.region ? undefined : existing.regionName,
+        serviceName: entry.serviceName,
+        description: entry.description ?? undefined,
+        configSummary: entry.configSummary,
+        templateId: mod.templateId || existing.templateId,
+        calculationComponents: { ...existing.calculationComponents, ...mod.calculationComponents },
+        subServices: mergeSubServiceInputs(existing.subServices, mod.subServices),
+        monthlyCost: mod.monthlyCost || 0,
+        upfrontCost: mod.upfrontCost || 0,
+      }, { currency, locale });
+      entry = built.entry;
+      warnings.push(...built.warnings);
+    }
+    services[key] = entry;
+    if (mod.group != null) {
+      removeFromGroups(groups, key);
+      if (mod.group) addToGroup(groups, mod.group, key);
+    }
+    changes.push({ action: "modified", key, serviceName: entry.serviceName, before: existing.serviceCost, after: entry.serviceCost });
+  }
+
+  for (const svc of add) {
+    const key = `${svc.serviceCode}-${crypto.randomUUID()}`;
+    const { entry, warnings: entryWarnings } = await buildServiceEntry(svc, { currency, locale });
+    services[key] = entry;
+    warnings.push(...entryWarnings);
+    if (svc.group) addToGroup(groups, svc.group, key);
+    changes.push({ action: "added", key, serviceName: entry.serviceName, before: null, after: entry.serviceCost });
+  }
+
+  const totals = sumServiceCosts(services);
+  computeGroupSubtotals(groups, services);
+  // A support plan set by create_estimate is recharged on the new total; other support sections are kept as-is.
+  // Plans saved on non-USD estimates can't be recharged in that currency, so they are dropped.
+  const plan = data.support?.supportPlan;
+  const recharge = Boolean(SUPPORT_PLANS[plan]) && currency === "USD";
+  if (SUPPORT_PLANS[plan] && !recharge) {
+    warnings.push(`⚠️ ${data.support.serviceName || "The support plan"} was removed: support plan minimums and tiers are USD amounts and this estimate is in ${currency}.`);
+  }
+  const support = recharge ? buildSupportSection(plan, totals.monthly, currency) : SUPPORT_PLANS[plan] ? {} : (data.support || {});
+  const payload = {
+    ...data,
+    name: name || data.name,
+    services,
+    groups,
+    groupSubtotal: totals,
+    // The support charge follows the new monthly total
+    totalCost: { monthly: totals.monthly + (recharge ? support.serviceCost?.monthly || 0 : 0), upfront: totals.upfront },
+    support,
+    metaData: { ...data.metaData, createdOn: new Date().toISOString() },
+  };
+  return { payload, changes, warnings };
+}
+
+// Render a calculationComponents value for display (e.g. "512 MB", "model=ondemand, term=1yr")
+function formatComponentValue(component) {
+  if (component == null) return "—";
+  if (typeof component === "object" && "value" in component) {
+    const value = typeof component.value === "object" && component.value !== null ? JSON.stringify(component.value) : String(component.value);
+    return component.unit ? `${value} ${component.unit}` : value;
+  }
+  if (typeof component === "object") {
+    return Object.entries(component).map(([k, v]) => `${k}=${typeof v === "object" ? JSON.stringify(v) : v}`).join(", ");
+  }
+  return String(component);
+}
+
+function diffComponents(before = {}, after = {}) {
+  const changes = [];
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[field]) === JSON.stringify(after[field])) continue;
+    changes.push({
+      field,
+      before: before[field] ?? null,
+      after: after[field] ?? null,
+      beforeText: formatComponentValue(before[field]),
+      afterText: formatComponentValue(after[field]),
+    });
+  }
+  return changes;
+}
+
+// Compare two loaded estimates. Services are matched by key first (keys survive update_estimate),
+// then by progressively looser identities so renamed or moved services still pair up.
+function diffEstimates(a, b) {
+  const servicesA = a.services || {};
+  const servicesB = b.services || {};
+  const groupsA = groupPathsByService(a.groups);
+  const groupsB = groupPathsByService(b.groups);
+  const unmatchedA = new Set(Object.keys(servicesA));
+  const unmatchedB = new Set(Object.keys(servicesB));
+  const pairs = [];
+
+  for (const key of [...unmatchedA]) {
+    if (unmatchedB.has(key)) {
+      pairs.push([key, key]);
+      unmatchedA.delete(key);
+      unmatchedB.delete(key);
+    }
+  }
+  const identities = [
+    (s) => `${s.serviceCode}|${s.region}|${s.serviceName}`,
+    (s) => `${s.serviceCode}|${s.serviceName}`,
+    (s) => `${s.serviceCode}|${s.region}`,
+  ];
+  for (const identity of identities) {
+    for (const keyA of [...unmatchedA]) {
+      const id = identity(servicesA[keyA]);
+      const keyB = [...unmatchedB].find((k) => identity(servicesB[k]) === id);
+      if (keyB) {
+        pairs.push([keyA, keyB]);
+        unmatchedA.delete(keyA);
+        unmatchedB.delete(keyB);
       }
-      
-      warnings.push(`⚠️ calculationComponents were rejected by the API (${resp.status}: ${respText.substring(0, 200)}). The estimate was saved without detailed configurations.`);
-      warnings.push(`To fix: use get_service_schema to verify field IDs and option values, then recreate with corrected calculationComponents.`);
-      if (strippedServices.length > 0) {
-        warnings.push(`Affected services: ${strippedServices.join(", ")}`);
+    }
+  }
+
+  const summarize = (key, svc) => ({
+    key,
+    serviceName: svc.serviceName,
+    serviceCode: svc.serviceCode,
+    region: svc.region,
+    monthly: svc.serviceCost?.monthly || 0,
+    upfront: svc.serviceCost?.upfront || 0,
+  });
+
+  const changed = [];
+  let unchanged = 0;
+  for (const [keyA, keyB] of pairs) {
+    const before = servicesA[keyA];
+    const after = servicesB[keyB];
+    const monthlyDelta = (after.serviceCost?.monthly || 0) - (before.serviceCost?.monthly || 0);
+    const upfrontDelta = (after.serviceCost?.upfront || 0) - (before.serviceCost?.upfront || 0);
+    const componentChanges = diffComponents(before.calculationComponents, after.calculationComponents);
+    const attributeChanges = [];
+    for (const attr of ["serviceName", "region", "templateId", "description", "configSummary"]) {
+      if ((before[attr] ?? null) !== (after[attr] ?? null)) {
+        attributeChanges.push({ field: attr, before: before[attr] ?? null, after: after[attr] ?? null });
       }
-      
-      resp = retryResp;
-      respText = retryText;
     }
-    
-    const result = JSON.parse(respText);
-    if (result.statusCode !== 201 || !result.body) {
-      throw new Error(`Save API returned unexpected response: ${respText}`);
+    if ((groupsA[keyA] ?? null) !== (groupsB[keyB] ?? null)) {
+      attributeChanges.push({ field: "group", before: groupsA[keyA] ?? null, after: groupsB[keyB] ?? null });
     }
-    
-    const body = JSON.parse(result.body);
-    if (!body.savedKey) {
-      throw new Error(`No savedKey in response: ${JSON.stringify(body)}`);
+    if (monthlyDelta === 0 && upfrontDelta === 0 && componentChanges.length === 0 && attributeChanges.length === 0) {
+      unchanged++;
+      continue;
     }
-    
-    const url = `https://calculator.aws/#/estimate?id=${body.savedKey}`;
+    changed.push({
+      keyA,
+      keyB,
+      serviceName: after.serviceName || before.serviceName,
+      serviceCode: after.serviceCode,
+      before: { monthly: before.serviceCost?.monthly || 0, upfront: before.serviceCost?.upfront || 0 },
+      after: { monthly: after.serviceCost?.monthly || 0, upfront: after.serviceCost?.upfront || 0 },
+      monthlyDelta,
+      upfrontDelta,
+      attributeChanges,
+      componentChanges,
+    });
+  }
+
+  const totalsA = { monthly: a.totalCost?.monthly ?? sumServiceCosts(servicesA).monthly, upfront: a.totalCost?.upfront ?? sumServiceCosts(servicesA).upfront };
+  const totalsB = { monthly: b.totalCost?.monthly ?? sumServiceCosts(servicesB).monthly, upfront: b.totalCost?.upfront ?? sumServiceCosts(servicesB).upfront };
+  return {
+    nameA: a.name,
+    nameB: b.name,
+    currencyA: a.metaData?.currency || "USD",
+    currencyB: b.metaData?.currency || "USD",
+    totals: {
+      before: totalsA,
+      after: totalsB,
+      monthlyDelta: totalsB.monthly - totalsA.monthly,
+      upfrontDelta: totalsB.upfront - totalsA.upfront,
+    },
+    added: [...unmatchedB].map((k) => summarize(k, servicesB[k])),
+    removed: [...unmatchedA].map((k) => summarize(k, servicesA[k])),
+    changed,
+    unchanged,
+  };
+}
+
+// Human-readable summary of a diffEstimates result
+function formatEstimateDiff(diff) {
+  const currency = diff.currencyB;
+
+  const lines = [
+    `🔀 ${diff.nameA} → ${diff.nameB}`,
+    `💰 Monthly: ${formatMoney(diff.totals.before.monthly, currency)} → ${formatMoney(diff.totals.after.monthly, currency)} (${formatDelta(diff.totals.monthlyDelta, currency)})`,
+    `💵 Upfront: ${formatMoney(diff.totals.before.upfront, currency)} → ${formatMoney(diff.totals.after.upfront, currency)} (${formatDelta(diff.totals.upfrontDelta, currency)})`,
+  ];
+  if (diff.currencyA !== diff.currencyB) {
+    lines.push(`⚠️ Estimates use different currencies (${diff.currencyA} vs ${diff.currencyB}); deltas compare raw amounts.`);
+  }
+  if (diff.added.length > 0) {
+    lines.push("", `Added (${diff.added.length}):`);
+    for (const s of diff.added) lines.push(`  • ➕ ${s.serviceName} (${s.region}): ${formatMoney(s.monthly, currency)}/mo`);
+  }
+  if (diff.removed.length > 0) {
+    lines.push("", `Removed (${diff.removed.length}):`);
+    for (const s of diff.removed) lines.push(`  • ➖ ${s.serviceName} (${s.region}): ${formatMoney(s.monthly, currency)}/mo`);
+  }
+  if (diff.changed.length > 0) {
+    lines.push("", `Changed (${diff.changed.length}):`);
+    for (const c of diff.changed) {
+      lines.push(`  • ✏️ ${c.serviceName}: ${formatMoney(c.before.monthly, currency)} → ${formatMoney(c.after.monthly, currency)}/mo (${formatDelta(c.monthlyDelta, currency)})` +
+        (c.upfrontDelta !== 0 ? `, upfront ${formatDelta(c.upfrontDelta, currency)}` : ""));
+      for (const a of c.attributeChanges) lines.push(`      ${a.field}: ${a.before ?? "—"} → ${a.after ?? "—"}`);
+      for (const f of c.componentChanges) lines.push(`      ${f.field}: ${f.beforeText} → ${f.afterText}`);
+    }
+  }
+  lines.push("", `Unchanged services: ${diff.unchanged}`);
+  return lines.join("\n");
+}
+
+// Price the same services in each region and rank the regions by 12-month cost.
+// Regions where a service isn't offered or pricing lookups came back empty are flagged and ranked last.
+async function compareRegions({ services, regions, currency = "USD", locale = "en_US" }) {
+  const names = manifestRegionNames(await getManifest(locale).catch(() => null));
+  const unknown = regions.filter((r) => !(r in names));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown region(s): ${unknown.join(", ")}. Known regions: ${Object.keys(names).sort().join(", ")}`);
+  }
+
+  const offeredIn = {};
+  for (const svc of services) {
+    if (!(svc.serviceCode in offeredIn)) {
+      offeredIn[svc.serviceCode] = await serviceRegions(svc.serviceCode, locale).catch(() => null);
+    }
+  }
+
+  const rows = [];
+  for (const region of regions) {
+    const row = { region, regionName: names[region] || region, monthly: 0, upfront: 0, twelveMonth: 0, unavailable: [], missingPricing: [], warnings: [] };
+    if (!names[region]) {
+      row.missingPricing.push(...services.map((svc) => svc.serviceName || svc.serviceCode));
+      row.warnings.push(`${region} has no display name in the calculator manifest yet, so its prices can't be looked up`);
+    }
+    for (const svc of names[region] ? services : []) {
+      const name = svc.serviceName || svc.serviceCode;
+      if (offeredIn[svc.serviceCode] && !offeredIn[svc.serviceCode].has(region)) {
+        row.unavailable.push(name);
+        continue;
+      }
+      const result = await calculateServiceCost(svc.serviceCode, region, svc.inputs || {}, svc.templateId || null, { currency, locale });
+      if (!result) {
+        row.missingPricing.push(name);
+        continue;
+      }
+      if (result.missingPricing.length > 0) row.missingPricing.push(name);
+      row.monthly += result.monthly;
+      row.upfront += result.upfront;
+      for (const w of result.warnings) if (!row.warnings.includes(w)) row.warnings.push(w);
+    }
+    row.twelveMonth = row.monthly * 12 + row.upfront;
+    row.complete = row.unavailable.length === 0 && row.missingPricing.length === 0;
+    rows.push(row);
+  }
+
+  rows.sort((a, b) => (b.complete - a.complete) || (a.twelveMonth - b.twelveMonth) || (a.monthly - b.monthly));
+  rows.forEach((row, i) => { row.rank = i + 1; });
+  return { currency, services: services.map((s) => s.serviceName || s.serviceCode), regions: rows };
+}
+
+// --- End estimate building, saving and loading ---
+
+// --- Estimate exports ---
+
+function summarizeComponents(calculationComponents = {}) {
+  return Object.entries(calculationComponents)
+    .map(([field, component]) => `${field}: ${formatComponentValue(component)}`)
+    .join("; ");
+}
+
+// Flatten a loaded or freshly saved estimate into one line item per service
+function normalizeEstimate(data, { id = null, url = null } = {}) {
+  const groupOf = groupPathsByService(data.groups);
+  const services = Object.entries(data.services || {}).map(([key, s]) => {
+    const monthly = s.serviceCost?.monthly || 0;
+    const upfront = s.serviceCost?.upfront || 0;
+    return {
+      key,
+      group: groupOf[key] || null,
+      serviceName: s.serviceName,
+      serviceCode: s.serviceCode,
+      region: s.region,
+      regionName: s.regionName || REGION_NAMES[s.region] || s.region,
+      templateId: s.templateId || null,
+      description: s.description || null,
+      configSummary: s.configSummary || summarizeComponents(s.calculationComponents),
+      monthly,
+      upfront,
+      twelveMonth: monthly * 12 + upfront,
+      calculationComponents: s.calculationComponents || {},
+    };
+  });
+  // The support charge is part of totalCost, so it is listed as its own line next to the services
+  const supportCost = data.support?.serviceCost;
+  const support = supportCost
+    ? {
+      serviceName: data.support.serviceName,
+      supportPlan: data.support.supportPlan || null,
+      configSummary: data.support.configSummary || "",
+      monthly: supportCost.monthly || 0,
+      upfront: supportCost.upfront || 0,
+      twelveMonth: (supportCost.monthly || 0) * 12 + (supportCost.upfront || 0),
+    }
+    : null;
+  const totals = sumServiceCosts(data.services || {});
+  const monthly = data.totalCost?.monthly ?? totals.monthly + (support?.monthly || 0);
+  const upfront = data.totalCost?.upfront ?? totals.upfront + (support?.upfront || 0);
+  return {
+    name: data.name,
+    estimateId: id,
+    url: url || (id ? API.estimateLink(id) : null),
+    currency: data.metaData?.currency || "USD",
+    locale: data.metaData?.locale || "en_US",
+    createdOn: data.metaData?.createdOn || null,
+    totals: { monthly, upfront, twelveMonth: monthly * 12 + upfront },
+    services,
+    support,
+  };
+}
+
+// Quote a CSV cell; text cells starting with a formula character are prefixed so spreadsheets don't evaluate them
+function csvCell(value) {
+  if (typeof value === "number") return value.toFixed(2);
+  let text = value == null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function estimateToCsv(report) {
+  const header = ["Group", "Service", "Region", "Config summary", `Monthly (${report.currency})`, `Upfront (${report.currency})`, `12-month (${report.currency})`];
+  const rows = report.services.map((s) => [s.group || "", s.serviceName, s.region, s.configSummary, s.monthly, s.upfront, s.twelveMonth]);
+  if (report.support) {
+    const { serviceName, configSummary, monthly, upfront, twelveMonth } = report.support;
+    rows.push(["", serviceName, "", configSummary, monthly, upfront, twelveMonth]);
+  }
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// Plain-text table with left-aligned columns
+function formatTable(headers, rows) {
+  const cells = [headers, ...rows].map((row) => row.map((c) => String(c ?? "")));
+  const widths = headers.map((_, i) => Math.max(...cells.map((row) => row[i].length)));
+  const line = (row) => row.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd();
+  return [line(cells[0]), line(widths.map((w) => "-".repeat(w))), ...cells.slice(1).map(line)].join("\n");
+}
+
+async function writeOutputFile(outputPath, content) {
+  const resolved = path.resolve(outputPath);
+  await mkdir(path.dirname(resolved), { recursive: true });
+  await writeFile(resolved, content);
+  return resolved;
+}
+
+// Subtotals for every group path and each of its parents ("prod", "prod/web", "prod/web/frontend").
+// Listed in tree order: each group is followed by its nested groups, siblings in order of first appearance.
+function groupSubtotals(report) {
+  const byGroup = new Map();
+  for (const s of report.services) {
+    const segments = s.group ? groupPathSegments(s.group) : ["Ungrouped"];
+    let order = [];
+    segments.forEach((_, depth) => {
+      const name = segments.slice(0, depth + 1).join("/");
+      const subtotal = byGroup.get(name) || { group: name, depth, order: [...order, byGroup.size], services: 0, monthly: 0, upfront: 0, twelveMonth: 0 };
+      subtotal.services++;
+      subtotal.monthly += s.monthly;
+      subtotal.upfront += s.upfront;
+      subtotal.twelveMonth += s.twelveMonth;
+      byGroup.set(name, subtotal);
+      order = subtotal.order;
+    });
+  }
+  const treeOrder = (a, b) => {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) if (a[i] !== b[i]) return a[i] - b[i];
+    return a.length - b.length;
+  };
+  return [...byGroup.values()]
+    .sort((a, b) => treeOrder(a.order, b.order))
+    .map(({ order, ...subtotal }) => subtotal);
+}
+
+// Look up schema labels for each service's calculationComponents (best-effort: unknown services keep field IDs)
+async function collectFieldLabels(report) {
+  const labels = {};
+  for (const s of report.services) {
+    labels[s.key] = {};
+    try {
+      const def = await fetchServiceDef(s.serviceCode, report.locale);
+      const templateId = def.templates?.some((t) => t.id === s.templateId) ? s.templateId : null;
+      for (const input of extractInputs(def, templateId)) {
+        labels[s.key][input.id] = { label: input.label, options: input.options };
+      }
+    } catch { /* fall back to field IDs */ }
+  }
+  return labels;
+}
+
+// Configuration rows for one service: schema label (or field ID) and display value (option label where known)
+function configurationRows(service, labels = {}) {
+  return Object.entries(service.calculationComponents).map(([field, component]) => {
+    const schema = labels[field];
+    let value = formatComponentValue(component);
+    const raw = typeof component === "object" && component !== null && "value" in component ? component.value : component;
+    const option = schema?.options?.find((o) => o.value === raw);
+    if (option?.label) value = component?.unit ? `${option.label} ${component.unit}` : option.label;
+    return { field, label: schema?.label || field, value };
+  });
+}
+
+function markdownCell(value) {
+  return String(value ?? "").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+function estimateToMarkdown(report, fieldLabels = {}) {
+  const money = (amount) => formatMoney(amount, report.currency);
+  const lines = [`# ${report.name}`, ""];
+  if (report.url) lines.push(`🔗 [Open in AWS Pricing Calculator](${report.url})`, "");
+  lines.push(
+    "## Summary",
+    "",
+    "| Monthly | Upfront | 12-month | Services |",
+    "|--------:|--------:|---------:|---------:|",
+    `| ${money(report.totals.monthly)} | ${money(report.totals.upfront)} | ${money(report.totals.twelveMonth)} | ${report.services.length} |`,
+    "",
+  );
+  if (report.createdOn) lines.push(`Created ${report.createdOn} · Currency ${report.currency}`, "");
+
+  lines.push("## Groups", "", "| Group | Services | Monthly | Upfront | 12-month |", "|-------|---------:|--------:|--------:|---------:|");
+  for (const g of groupSubtotals(report)) {
+    lines.push(`| ${markdownCell(g.group)} | ${g.services} | ${money(g.monthly)} | ${money(g.upfront)} | ${money(g.twelveMonth)} |`);
+  }
+  if (report.support) {
+    const { serviceName, monthly, upfront, twelveMonth } = report.support;
+    lines.push(`| ${markdownCell(serviceName)} | — | ${money(monthly)} | ${money(upfront)} | ${money(twelveMonth)} |`);
+  }
+  lines.push("");
+
+  lines.push("## Services", "");
+  for (const s of report.services) {
+    lines.push(`### ${s.serviceName}`, "");
+    lines.push(`${s.regionName} (${s.region})${s.group ? ` · Group: ${s.group}` : ""} · Monthly ${money(s.monthly)} · Upfront ${money(s.upfront)} · 12-month ${money(s.twelveMonth)}`, "");
+    if (s.description) lines.push(s.description, "");
+    const rows = configurationRows(s, fieldLabels[s.key]);
+    if (rows.length > 0) {
+      lines.push("| Setting | Value |", "|---------|-------|");
+      for (const row of rows) lines.push(`| ${markdownCell(row.label)} | ${markdownCell(row.value)} |`);
+    } else {
+      lines.push(`_${s.configSummary || "No configuration recorded"}_`);
+    }
+    lines.push("");
+  }
+  if (report.support) {
+    const { serviceName, configSummary, monthly, upfront, twelveMonth } = report.support;
+    lines.push(`### ${serviceName}`, "", `Monthly ${money(monthly)} · Upfront ${money(upfront)} · 12-month ${money(twelveMonth)}`, "");
+    if (configSummary) lines.push(`_${configSummary}_`, "");
+  }
+  return lines.join("\n");
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+// Self-contained HTML report: inline styles, no external assets, so it renders offline
+function estimateToHtml(report, fieldLabels = {}) {
+  const money = (amount) => escapeHtml(formatMoney(amount, report.currency));
+  const groupRows = groupSubtotals(report).map((g) =>
+    `<tr><td>${escapeHtml(g.group)}</td><td class="num">${g.services}</td><td class="num">${money(g.monthly)}</td><td class="num">${money(g.upfront)}</td><td class="num">${money(g.twelveMonth)}</td></tr>`
+  ).join("\n") + (report.support
+    ? `\n<tr><td>${escapeHtml(report.support.serviceName)}</td><td class="num">—</td><td class="num">${money(report.support.monthly)}</td><td class="num">${money(report.support.upfront)}</td><td class="num">${money(report.support.twelveMonth)}</td></tr>`
+    : "");
+  const serviceSections = report.services.map((s) => {
+    const rows = configurationRows(s, fieldLabels[s.key]);
+    const config = rows.length > 0
+      ? `<table><thead><tr><th>Setting</th><th>Value</th></tr></thead><tbody>\n${rows.map((r) => `<tr><td>${escapeHtml(r.label)}</td><td>${escapeHtml(r.value)}</td></tr>`).join("\n")}\n</tbody></table>`
+      : `<p class="muted">${escapeHtml(s.configSummary || "No configuration recorded")}</p>`;
+    return `<section>
+<h3>${escapeHtml(s.serviceName)}</h3>
+<p class="muted">${escapeHtml(s.regionName)} (${escapeHtml(s.region)})${s.group ? ` · Group: ${escapeHtml(s.group)}` : ""} · Monthly ${money(s.monthly)} · Upfront ${money(s.upfront)} · 12-month ${money(s.twelveMonth)}</p>
+${s.description ? `<p>${escapeHtml(s.description)}</p>\n` : ""}${config}
+</section>`;
+  }).join("\n") + (report.support
+    ? `\n<section>
+<h3>${escapeHtml(report.support.serviceName)}</h3>
+<p class="muted">Monthly ${money(report.support.monthly)} · Upfront ${money(report.support.upfront)} · 12-month ${money(report.support.twelveMonth)}</p>
+${report.support.configSummary ? `<p class="muted">${escapeHtml(report.support.configSummary)}</p>\n` : ""}</section>`
+    : "");
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(report.locale.replace("_", "-"))}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.name)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #16191f; }
+table { border-collapse: collapse; width: 100%; margin: 0.5rem 0 1rem; }
+th, td { border: 1px solid #d5dbdb; padding: 0.4rem 0.6rem; text-align: left; }
+th { background: #f2f3f3; }
+td.num, th.num { text-align: right; }
+.muted { color: #545b64; }
+.totals td { font-size: 1.2rem; font-weight: 600; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.name)}</h1>
+${report.url ? `<p><a href="${escapeHtml(report.url)}">Open in AWS Pricing Calculator</a></p>\n` : ""}<h2>Summary</h2>
+<table class="totals"><thead><tr><th class="num">Monthly</th><th class="num">Upfront</th><th class="num">12-month</th><th class="num">Services</th></tr></thead>
+<tbody><tr><td class="num">${money(report.totals.monthly)}</td><td class="num">${money(report.totals.upfront)}</td><td class="num">${money(report.totals.twelveMonth)}</td><td class="num">${report.services.length}</td></tr></tbody></table>
+${report.createdOn ? `<p class="muted">Created ${escapeHtml(report.createdOn)} · Currency ${escapeHtml(report.currency)}</p>\n` : ""}<h2>Groups</h2>
+<table><thead><tr><th>Group</th><th class="num">Services</th><th class="num">Monthly</th><th class="num">Upfront</th><th class="num">12-month</th></tr></thead>
+<tbody>
+${groupRows}
+</tbody></table>
+<h2>Services</h2>
+${serviceSections}
+</body>
+</html>
+`;
+}
+
+// --- End estimate exports ---
+
+// --- Estimate specs ---
+
+// Declarative estimate file (YAML or JSON) that can live in version control next to infrastructure code
+const specServiceSchema = z.object({
+  serviceCode: z.string(),
+  serviceName: z.string().optional(),
+  region: z.string().optional(),
+  group: z.string().optional(),
+  templateId: z.string().optional(),
+  description: z.string().optional(),
+  configSummary: z.string().optional(),
+  inputs: z.record(z.any()).default({}),
+  subServices: z.record(z.record(z.any())).default({}),
+});
+
+const estimateSpecSchema = z.object({
+  name: z.string(),
+  currency: z.enum(CURRENCY_CODES).default("USD"),
+  locale: z.enum(LOCALES).default("en_US"),
+  region: z.string().default("us-east-1"),
+  supportPlan: z.enum(SUPPORT_PLAN_IDS).optional(),
+  variables: z.record(z.any()).default({}),
+  services: z.array(specServiceSchema).min(1),
+});
+
+const SPEC_REFERENCE = /\$\{\s*([A-Za-z_][\w.-]*)\s*\}/g;
+
+// Replace ${name} references. A string that is exactly one reference keeps the variable's type,
+// so `${requests}` stays a number while "${requests} per month" becomes a string.
+function substituteReferences(value, variables, where, errors) {
+  if (typeof value === "string") {
+    const whole = value.match(/^\$\{\s*([A-Za-z_][\w.-]*)\s*\}$/);
+    if (whole) {
+      if (!(whole[1] in variables)) errors.push(`${where}: unknown variable '${whole[1]}'`);
+      return variables[whole[1]];
+    }
+    return value.replace(SPEC_REFERENCE, (ref, varName) => {
+      if (!(varName in variables)) {
+        errors.push(`${where}: unknown variable '${varName}'`);
+        return ref;
+      }
+      return String(variables[varName]);
+    });
+  }
+  if (Array.isArray(value)) return value.map((v, i) => substituteReferences(v, variables, `${where}[${i}]`, errors));
+  if (typeof value === "object" && value !== null) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substituteReferences(v, variables, `${where}.${k}`, errors)]));
+  }
+  return value;
+}
+
+// Variables may reference variables declared before them
+function resolveSpecVariables(variables, errors) {
+  const resolved = {};
+  for (const [varName, value] of Object.entries(variables)) {
+    resolved[varName] = substituteReferences(value, resolved, `variables.${varName}`, errors);
+  }
+  return resolved;
+}
+
+const UNIT_TABLES = {
+  fileSize: FILE_SIZE_TO_GB,
+  frequency: FREQ_TO_MONTH,
+  durationInput: DURATION_TO_HOURS,
+  throughput: THROUGHPUT_TO_MBPS,
+};
+
+// Parse "100 GB" or "5 per second" into { value, unit } for fields that take a unit.
+// Units match the field's unit options by value or label, then the engine's known units.
+function parseUnitValue(input, raw) {
+  if (typeof raw === "number") return { value: { value: raw, unit: input.defaultUnit } };
+  const match = String(raw).trim().match(/^(-?\d[\d,_]*(?:\.\d+)?)\s*(.*)$/);
+  if (!match) return { error: `expected a number with an optional unit, got '${raw}'` };
+  const value = Number(match[1].replace(/[,_]/g, ""));
+  const unitText = match[2];
+  if (!unitText) return { value: { value, unit: input.defaultUnit } };
+
+  const wanted = normalizeLabel(unitText);
+  const option = input.unitOptions?.find((o) => normalizeLabel(o.value) === wanted || (o.label != null && normalizeLabel(o.label) === wanted));
+  if (option) return { value: { value, unit: option.value } };
+  const known = Object.keys(UNIT_TABLES[input.type] || {}).find((u) => normalizeLabel(u) === wanted);
+  if (known) return { value: { value, unit: known } };
+
+  const accepted = input.unitOptions?.map((o) => o.label || o.value) || Object.keys(UNIT_TABLES[input.type] || {});
+  return { error: `unknown unit '${unitText}'${accepted.length ? ` (expected one of: ${accepted.join(", ")})` : ""}` };
+}
+
+// Map spec inputs (keyed by field ID or label) onto calculationComponents keyed by field ID
+function resolveSpecInputs(inputs, specInputs, where, errors) {
+  const components = {};
+  for (const [key, raw] of Object.entries(specInputs)) {
+    let input = inputs.find((i) => i.id === key);
+    if (!input) {
+      const byLabel = inputs.filter((i) => i.label != null && normalizeLabel(i.label) === normalizeLabel(key));
+      if (byLabel.length > 1) {
+        errors.push(`${where}: '${key}' matches several fields (${byLabel.map((i) => i.id).join(", ")}); use the field ID`);
+        continue;
+      }
+      input = byLabel[0];
+    }
+    if (!input) {
+      errors.push(`${where}: unknown field '${key}'`);
+      continue;
+    }
+
+    if (UNIT_TABLES[input.type] && (typeof raw === "string" || typeof raw === "number")) {
+      const parsed = parseUnitValue(input, raw);
+      if (parsed.error) errors.push(`${where}.${key}: ${parsed.error}`);
+      else components[input.id] = parsed.value;
+      continue;
+    }
+    if (input.options?.length && typeof raw === "string") {
+      const resolved = resolveValue(input, raw);
+      if (!input.options.some((o) => o.value === resolved)) {
+        errors.push(`${where}.${key}: '${raw}' is not an option (expected one of: ${input.options.map((o) => o.label).join(", ")})`);
+        continue;
+      }
+      components[input.id] = resolved;
+      continue;
+    }
+    components[input.id] = raw;
+  }
+  return components;
+}
+
+// Parse and validate a YAML or JSON spec, returning create_estimate arguments.
+// All problems are collected and reported together so a spec can be fixed in one pass.
+async function specToEstimate(text) {
+  let raw;
+  try {
+    raw = YAML.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid estimate spec: ${e.message}`);
+  }
+  const parsed = estimateSpecSchema.safeParse(raw);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((i) => `  • ${i.path.join(".") || "spec"}: ${i.message}`);
+    throw new Error(`Invalid estimate spec:\n${issues.join("\n")}`);
+  }
+  const spec = parsed.data;
+  const errors = [];
+  const variables = resolveSpecVariables(spec.variables, errors);
+
+  const services = [];
+  for (const [index, specService] of spec.services.entries()) {
+    const where = `services[${index}]`;
+    const svc = substituteReferences(specService, variables, where, errors);
+    let def, inputs;
+    try {
+      ({ def, inputs } = await loadServiceInputs(svc.serviceCode, svc.templateId || null, spec.locale));
+    } catch (e) {
+      errors.push(`${where}: unknown service '${svc.serviceCode}' (${e.message})`);
+      continue;
+    }
+    const subServices = {};
+    for (const [code, subInputs] of Object.entries(svc.subServices)) {
+      const subWhere = `${where}.subServices.${code}`;
+      if (!def.subServices?.some((sub) => sub.serviceCode === code)) {
+        errors.push(`${subWhere}: not a subService of ${def.serviceName || svc.serviceCode}`);
+        continue;
+      }
+      try {
+        subServices[code] = resolveSpecInputs(extractInputs(await fetchServiceDef(code, spec.locale)), subInputs, subWhere, errors);
+      } catch (e) {
+        errors.push(`${subWhere}: unknown service '${code}' (${e.message})`);
+      }
+    }
+    services.push({
+      serviceCode: svc.serviceCode,
+      serviceName: svc.serviceName || def.serviceName || svc.serviceCode,
+      region: svc.region || spec.region,
+      group: svc.group,
+      templateId: svc.templateId,
+      description: svc.description,
+      configSummary: svc.configSummary,
+      calculationComponents: resolveSpecInputs(inputs, svc.inputs, `${where}.inputs`, errors),
+      ...(Object.keys(subServices).length && { subServices }),
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid estimate spec:\n${errors.map((e) => `  • ${e}`).join("\n")}`);
+  }
+  return { name: spec.name, currency: spec.currency, locale: spec.locale, services, supportPlan: spec.supportPlan ?? null };
+}
+
+// --- End estimate specs ---
+
+const server = new McpServer({
+  name: "aws-calculator",
+  version: "1.0.0",
+});
+
+// Tool 1: Search services
+server.tool(
+  "search_services",
+  `Search AWS services available in the pricing calculator by keyword. Returns service codes needed for create_estimate.
+Results are ranked by relevance (score 0–100) and tolerate typos, acronyms and common aliases (e.g. 'ELB', 'EKS', 'Aurora Postgres').
+Use 'offset' and 'limit' to page through more results; 'total' is the number of matches.
+Pass 'region' to only return services offered in that region.`,
+  {
+    query: z.string().describe("Search keyword (e.g. 'EC2', 'Lambda', 'CloudFront')"),
+    locale: z.enum(LOCALES).default("en_US").describe("Locale for service names (e.g. 'ja_JP', 'de_DE')"),
+    limit: z.number().int().min(1).max(100).default(15).describe("Maximum number of results"),
+    offset: z.number().int().min(0).default(0).describe("Number of results to skip"),
+    region: z.string().optional().describe("Only services offered in this region code (e.g. 'eu-south-2')"),
+  },
+  withRequestSignal(async ({ query, locale, limit, offset, region }) => {
+    const matches = await searchServices(query, locale, { limit, offset, region: region || null });
+    return { content: [{ type: "text", text: JSON.stringify(matches, null, 2) }] };
+  })
+);
+
+// Tool 1.5: List regions
+server.tool(
+  "list_regions",
+  `List AWS region codes and names known to the pricing calculator, with how many services are offered in each.
+Pass a serviceCode to list only the regions that service is offered in. Use the codes as 'region' in configure_service and create_estimate.`,
+  {
+    serviceCode: z.string().optional().describe("Only regions this service is offered in"),
+    locale: z.enum(LOCALES).default("en_US").describe("Locale of the manifest to read"),
+  },
+  withRequestSignal(async ({ serviceCode, locale }) => {
+    const regions = await listRegions(locale, serviceCode || null);
+    const table = formatTable(["Code", "Name", "Services"], regions.map((r) => [r.code, r.name, r.services]));
+    return {
+      content: [
+        { type: "text", text: `${regions.length} region(s)${serviceCode ? ` offering ${serviceCode}` : ""}:\n\n${table}` },
+        { type: "text", text: "\n" + JSON.stringify(regions, null, 2) },
+      ],
+    };
+  })
+);
+
+// Tool 2: Get service schema (input fields)
+server.tool(
+  "get_service_schema",
+  `Get the input schema for a specific AWS service. Returns the fields you can set in calculationComponents when creating an estimate.
+Use the serviceCode from search_services. Each field has an 'id' (use as the key in calculationComponents) and for dropdown fields,
+use the 'value' property from the options array (not the 'label') when setting calculationComponents.
+For frequency/fileSize fields, provide { value: number, unit: "unitString" }.
+'jsonSchema' is a JSON Schema for the inputs object, with option enums, unit enums and pricingStrategy shapes.
+Set 'locale' to get labels, option names and descriptions in another language.`,
+  {
+    serviceCode: z.string().describe("Service code (e.g. 'amazonCloudFront', 'eC2Next')"),
+    locale: z.enum(LOCALES).default("en_US").describe("Locale for labels and descriptions (e.g. 'ja_JP', 'de_DE')"),
+  },
+  withRequestSignal(async ({ serviceCode, locale }) => {
+    const result = await getServiceSchema(serviceCode, locale);
+    return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+  })
+);
+
+// Tool 2.5: Configure a service and calculate cost
+server.tool(
+  "configure_service",
+  `Configure an AWS service with specific parameters and get the calculated monthly cost.
+This tool fetches real-time AWS pricing data and calculates the exact cost based on your configuration.
+Use serviceCode from search_services. Pass input field values from get_service_schema as the 'inputs' parameter; they must match its jsonSchema.
+Returns the calculated monthly/upfront costs and the formatted calculationComponents ready for create_estimate.
+For services with subServices, pass each subService's inputs under its code in 'subServices'; the response lists the cost of each one.
+Set 'explain' to also get a step-by-step trace of how the engine reached the numbers.`,
+  {
+    serviceCode: z.string().describe("Service code from search_services"),
+    region: z.string().default("us-east-1").describe("AWS region code"),
+    templateId: z.string().optional().describe("Optional template ID for services with multiple calculator templates"),
+    inputs: z.record(z.any()).default({}).describe("Input field values keyed by field ID from get_service_schema"),
+    subServices: z.record(z.record(z.any())).default({}).describe("Inputs for each subService, keyed by subService code from get_service_schema. Each subService is priced with its own inputs"),
+    currency: z.enum(CURRENCY_CODES).default("USD").describe("Currency to price in (e.g. 'USD', 'EUR', 'GBP')"),
+    locale: z.enum(LOCALES).default("en_US").describe("Locale of the option labels used in 'inputs' (e.g. 'ja_JP')"),
+    explain: z.boolean().default(false).describe("Include an ordered trace of input normalization, displayIf checks, price lookups and maths steps"),
+  },
+  withRequestSignal(async (args) => {
+    const response = await configureService(args);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify(response, null, 2),
+      }],
+    };
+  })
+);
+
+// Tool 2.6: Validate a service configuration
+server.tool(
+  "validate_configuration",
+  `Check input values for a service against its calculator schema without pricing or saving anything.
+Reports unknown fields, dropdown values that aren't options (with the closest matches), units that don't apply to frequency/fileSize/duration/throughput fields,
+non-numeric values for numeric fields, and malformed pricingStrategy objects. create_estimate and update_estimate run the same checks before saving.`,
+  {
+    serviceCode: z.string().describe("Service code from search_services"),
+    templateId: z.string().optional().describe("Optional template ID for services with multiple calculator templates"),
+    inputs: z.record(z.any()).describe("Input field values keyed by field ID, as passed to configure_service or create_estimate"),
+    locale: z.enum(LOCALES).default("en_US").describe("Locale of the option labels used in 'inputs'"),
+  },
+  withRequestSignal(async ({ serviceCode, templateId, inputs, locale }) => {
+    const { def, inputs: fields } = await loadServiceInputs(serviceCode, templateId || null, locale);
+    const issues = validateInputs(fields, inputs);
+    const summary = issues.length === 0
+      ? `✅ ${def.serviceName}: all ${Object.keys(inputs).length} input(s) are valid`
+      : [`❌ ${def.serviceName}: ${issues.length} problem(s)`, ...issues.map((i) => `  • ${formatValidationIssue(i)}`)].join("\n");
+    return {
+      content: [
+        { type: "text", text: summary },
+        { type: "text", text: "\n" + JSON.stringify({ valid: issues.length === 0, issues }, null, 2) },
+      ],
+    };
+  })
+);
+
+// Service entry accepted by create_estimate and update_estimate
+const estimateServiceSchema = z.object({
+  serviceCode: z.string().describe("Service code from search_services"),
+  region: z.string().default("us-east-1").describe("AWS region code"),
+  regionName: z.string().optional().describe("Human-readable region name"),
+  serviceName: z.string().describe("Display name (e.g. 'Amazon EC2')"),
+  description: z.string().optional().describe("Service description/notes"),
+  monthlyCost: z.number().default(0).describe("Monthly cost in the estimate currency (auto-calculated if 0)"),
+  upfrontCost: z.number().default(0).describe("Upfront cost in the estimate currency"),
+  configSummary: z.string().optional().describe("Brief config summary shown in the estimate table"),
+  calculationComponents: z.record(z.any()).optional().describe("Key-value input params from get_service_schema"),
+  subServices: z.record(z.record(z.any())).optional().describe("Inputs for each subService, keyed by subService code from get_service_schema. Each subService is priced with its own inputs; their costs add up to the service's cost"),
+  templateId: z.string().optional().describe("Template ID for the service (auto-detected if not provided). Controls which configuration form is shown when editing."),
+  group: z.string().optional().describe("Group to organize this service under. Use a slash-separated path (e.g. \"prod/web/frontend\") to nest groups"),
+});
+
+// Tool 3: Create estimate and get shareable link
+server.tool(
+  "create_estimate",
+  `Create an AWS Pricing Calculator estimate and return a shareable, editable link.
+Each service needs: serviceCode, region, serviceName. monthlyCost is auto-calculated if 0 or not provided.
+Optionally provide calculationComponents (key-value pairs from get_service_schema) for the estimate to render detailed configs when opened.
+Use the 'value' field (not the 'label') from option objects returned by get_service_schema.
+For frequency/fileSize fields, provide { value: number, unit: "unitString" }.
+For services with subServices, provide each subService's inputs under its code in 'subServices'. Each subService is saved with its own cost.
+Optionally provide a 'group' name for each service to organize them into groups.
+Set 'currency' to save and price the estimate in a currency other than USD, and 'locale' to match option labels in another language.
+Set 'supportPlan' (developer, business, enterpriseOnRamp, enterprise) to add the AWS Support charge: the greater of the plan minimum
+or its percentage tiers of the monthly total. The charge is saved in the estimate's support section and included in the total.
+Support plans are only available for USD estimates.`,
+  {
+    name: z.string().describe("Estimate name"),
+    currency: z.enum(CURRENCY_CODES).default("USD").describe("Estimate currency (e.g. 'USD', 'EUR', 'GBP')"),
+    locale: z.enum(LOCALES).default("en_US").describe("Estimate locale (e.g. 'ja_JP', 'de_DE')"),
+    services: z.array(estimateServiceSchema).describe("Array of services to include"),
+    supportPlan: z.enum(SUPPORT_PLAN_IDS).optional().describe("AWS Support plan to add, charged on the estimate's monthly total (USD estimates only)"),
+  },
+  withRequestSignal(async ({ name, currency, locale, services, supportPlan }) => {
+    const created = await createEstimate({ name, currency, locale, services, supportPlan });
+    return { content: [{ type: "text", text: formatCreatedEstimate(created) }] };
+  })
+);
+
+// Tool 3.5: Create an estimate from a spec file
+server.tool(
+  "create_estimate_from_spec",
+  `Create an AWS Pricing Calculator estimate from a declarative YAML or JSON spec (estimate-as-code) and return a shareable link.
+Spec fields: name, currency, locale, region (default for all services), supportPlan, variables, and services.
+Each service has serviceCode, optional serviceName, region, group, templateId, description and configSummary, and 'inputs' keyed by field ID or label from get_service_schema.
+Input values may use option labels and units written as strings (e.g. "100 GB", "5 per second").
+Reference variables with \${name} (e.g. requests: \${requests}) so one number can feed several services.
+The whole spec is validated against the service schemas before anything is priced or saved.`,
+  {
+    spec: z.string().optional().describe("Spec contents (YAML or JSON)"),
+    specPath: z.string().optional().describe("Local path of a YAML or JSON spec file"),
+  },
+  withRequestSignal(async ({ spec, specPath }) => {
+    if (!spec && !specPath) throw new Error("Provide either 'spec' or 'specPath'");
+    const text = spec ?? await readFile(path.resolve(specPath), "utf8");
+    const created = await createEstimate(await specToEstimate(text));
+    return { content: [{ type: "text", text: formatCreatedEstimate(created) }] };
+  })
+);
+
+// Tool 4: Load an existing estimate
+server.tool(
+  "load_estimate",
+  "Load an existing AWS Pricing Calculator estimate from a shareable link or estimate ID. Returns the full estimate data.",
+  { estimateId: z.string().describe("Estimate ID or full URL (e.g. 'abc123' or 'https://calculator.aws/#/estimate?id=abc123')") },
+  withRequestSignal(async ({ estimateId }) => {
+    const { data } = await loadEstimate(estimateId);
+    const summary = formatLoadedEstimate(data);
+
+    return {
+      content: [
+        { type: "text", text: summary },
+        { type: "text", text: "\nFull data:\n" + JSON.stringify(data, null, 2) },
+      ],
+    };
+  })
+);
+
+// Tool 4.5: Update an existing estimate
+server.tool(
+  "update_estimate",
+  `Edit an existing AWS Pricing Calculator estimate and save it as a new shareable link.
+Services are referenced by their key in the estimate, their display name, or their service code (use load_estimate to see them).
+'remove' drops services, 'modify' merges new calculationComponents (or region, template, name, group) into a service,
+re-pricing it only when its calculationComponents, subServices, region, template or manual cost change,
+and 'add' appends new services using the same fields as create_estimate. Groups and untouched services are kept as they are.
+Returns the new link with old and new totals.`,
+  {
+    estimateId: z.string().describe("Estimate ID or full URL of the estimate to edit"),
+    name: z.string().optional().describe("New estimate name (defaults to the current name)"),
+    add: z.array(estimateServiceSchema).default([]).describe("Services to add"),
+    remove: z.array(z.string()).default([]).describe("Services to remove, by key, display name or service code"),
+    modify: z
+      .array(
+        z.object({
+          service: z.string().describe("Service to modify, by key, display name or service code"),
+          calculationComponents: z.record(z.any()).optional().describe("Input values to change; merged over the existing calculationComponents"),
+          subServices: z.record(z.record(z.any())).optional().describe("Input values to change per subService, keyed by subService code; merged over each subService's existing calculationComponents"),
+          region: z.string().optional().describe("New AWS region code"),
+          templateId: z.string().optional().describe("New template ID"),
+          serviceName: z.string().optional().describe("New display name"),
+          description: z.string().optional().describe("New description/notes"),
+          configSummary: z.string().optional().describe("New config summary"),
+          monthlyCost: z.number().optional().describe("Manual monthly cost (re-calculated if omitted or 0)"),
+          upfrontCost: z.number().optional().describe("Manual upfront cost"),
+          group: z.string().optional().describe("Move the service to this group or group path such as \"prod/web\" (empty string removes it from its group)"),
+        })
+      )
+      .default([])
+      .describe("Services to change"),
+  },
+  withRequestSignal(async ({ estimateId, name, add, remove, modify }) => {
+    const { id, data } = await loadEstimate(estimateId);
+    const currency = data.metaData?.currency || "USD";
+    const before = sumServiceCosts(data.services || {});
+    const { payload, changes, warnings: pricingWarnings } = await applyEstimateUpdate(data, { name, add, remove, modify });
+    const after = payload.totalCost;
+    const { url, warnings: saveWarnings } = await saveEstimate(payload);
+    const warnings = [...pricingWarnings, ...saveWarnings];
 
     const output = [
-      `✅ Estimate "${name}" saved successfully!`,
+      `✅ Estimate "${payload.name}" updated and saved as a new link!`,
       "",
       `🔗 Shareable link: ${url}`,
+      `↩️ Previous link: ${API.estimateLink(id)}`,
       "",
-      `Monthly: $${totalMonthly.toFixed(2)} | Upfront: $${totalUpfront.toFixed(2)} | 12-month: $${(totalMonthly * 12 + totalUpfront).toFixed(2)}`,
+      `Monthly: ${formatMoney(before.monthly, currency)} → ${formatMoney(after.monthly, currency)} (${formatDelta(after.monthly - before.monthly, currency)})`,
+      `Upfront: ${formatMoney(before.upfront, currency)} → ${formatMoney(after.upfront, currency)} (${formatDelta(after.upfront - before.upfront, currency)})`,
       "",
+      `Changes: ${changes.length}`,
     ];
-    
-    if (Object.keys(groupsObj).length > 0) {
-      output.push(`Groups: ${Object.values(groupsObj).map(g => g.name).join(", ")}`);
-      output.push("");
-    }
-    
-    output.push(`Services: ${services.length}`);
-    for (const [key, entry] of Object.entries(svcMap)) {
-      const groupLabel = entry.serviceName ? "" : "";
-      const svc = services.find(s => entry.serviceCode === s.serviceCode);
-      const grp = svc?.group ? ` [${svc.group}]` : "";
-      output.push(`  • ${entry.serviceName} (${entry.region}): $${entry.serviceCost.monthly.toFixed(2)}/mo${grp}`);
+    for (const change of changes) {
+      if (change.action === "added") {
+        output.push(`  • ➕ ${change.serviceName}: ${formatMoney(change.after.monthly, currency)}/mo`);
+      } else if (change.action === "removed") {
+        output.push(`  • ➖ ${change.serviceName}: ${formatMoney(change.before?.monthly, currency)}/mo`);
+      } else {
+        output.push(`  • ✏️ ${change.serviceName}: ${formatMoney(change.before?.monthly, currency)} → ${formatMoney(change.after.monthly, currency)}/mo`);
+      }
     }
-    
+
     if (warnings.length > 0) {
       output.push("");
       output.push(...warnings);
     }
 
+    return { content: [{ type: "text", text: output.join("\n") }] };
+  })
+);
+
+// Tool 4.6: Compare two estimates
+server.tool(
+  "diff_estimates",
+  `Compare two AWS Pricing Calculator estimates (A = before, B = after) given as IDs or shareable links.
+Reports added and removed services, per-service monthly and upfront deltas, which calculationComponents fields changed (values and units),
+and the overall total delta.`,
+  {
+    estimateA: z.string().describe("Baseline estimate ID or full URL"),
+    estimateB: z.string().describe("Changed estimate ID or full URL"),
+  },
+  withRequestSignal(async ({ estimateA, estimateB }) => {
+    const [{ data: a }, { data: b }] = await Promise.all([loadEstimate(estimateA), loadEstimate(estimateB)]);
+    const diff = diffEstimates(a, b);
+
     return {
       content: [
-        {
-          type: "text",
-          text: output.join("\n"),
-        },
+        { type: "text", text: formatEstimateDiff(diff) },
+        { type: "text", text: "\nFull diff:\n" + JSON.stringify(diff, null, 2) },
       ],
     };
-  }
+  })
 );
 
-// Tool 4: Load an existing estimate
+// Tool 4.7: Export an estimate as CSV or JSON
 server.tool(
-  "load_estimate",
-  "Load an existing AWS Pricing Calculator estimate from a shareable link or estimate ID. Returns the full estimate data.",
-  { estimateId: z.string().describe("Estimate ID or full URL (e.g. 'abc123' or 'https://calculator.aws/#/estimate?id=abc123')") },
-  async ({ estimateId }) => {
-    // Extract ID from URL if needed (IDs can contain hex chars, uppercase, hyphens, etc.)
-    const match = estimateId.match(/id=([a-zA-Z0-9-]+)/);
-    const id = match ? match[1] : estimateId;
+  "export_estimate",
+  `Export an AWS Pricing Calculator estimate (e.g. one just returned by create_estimate) as a line-item report.
+'csv' produces one row per service with group, service, region, config summary, monthly, upfront and 12-month cost.
+'json' produces the equivalent normalized document including totals and calculationComponents.
+Provide outputPath to write the report to a local file instead of returning it inline.`,
+  {
+    estimateId: z.string().describe("Estimate ID or full URL"),
+    format: z.enum(["csv", "json"]).default("csv").describe("Report format"),
+    outputPath: z.string().optional().describe("Local file path to write the report to"),
+  },
+  withRequestSignal(async ({ estimateId, format, outputPath }) => {
+    const { id, data } = await loadEstimate(estimateId);
+    const report = normalizeEstimate(data, { id });
+    const content = format === "csv" ? estimateToCsv(report) : JSON.stringify(report, null, 2) + "\n";
 
-    let data;
-    try {
-      const resp = await fetch(`${API.load}/${id}`);
-      if (!resp.ok) {
-        throw new Error(`HTTP ${resp.status}`);
-      }
-      const text = await resp.text();
-      // Check if response is XML (error) or JSON
-      if (text.trim().startsWith('<')) {
-        throw new Error('Estimate not found or access denied');
-      }
-      data = JSON.parse(text);
-    } catch (e) {
-      throw new Error(`Failed to load estimate '${id}': ${e.message}. Check that the estimate ID is valid.`);
+    if (outputPath) {
+      const written = await writeOutputFile(outputPath, content);
+      return {
+        content: [{
+          type: "text",
+          text: `✅ Exported "${report.name}" (${report.services.length} services) as ${format.toUpperCase()} to ${written}`,
+        }],
+      };
     }
-    
-    const services = Object.values(data.services || {}).map((s) => ({
-      serviceName: s.serviceName,
-      serviceCode: s.serviceCode,
-      region: s.region,
-      regionName: s.regionName,
-      templateId: s.templateId || null,
-      monthlyCost: s.serviceCost?.monthly || 0,
-      upfrontCost: s.serviceCost?.upfront || 0,
-      configSummary: s.configSummary,
-      description: s.description,
-      hasComponents: Object.keys(s.calculationComponents || {}).length > 0,
-    }));
-
-    const summary = [
-      `📋 Estimate: ${data.name}`,
-      `💰 Monthly: $${data.totalCost?.monthly?.toFixed(2)} | Upfront: $${data.totalCost?.upfront?.toFixed(2)}`,
-      `📅 Created: ${data.metaData?.createdOn}`,
-      "",
-      "Services:",
-      ...services.map((s) => {
-        const editable = s.hasComponents && s.templateId;
-        const editStatus = editable ? "✅ editable" : s.hasComponents ? "⚠️ missing templateId" : "⚠️ no config data";
-        return `  • ${s.serviceName} (${s.regionName}): $${s.monthlyCost.toFixed(2)}/mo [${editStatus}]`;
-      }),
-    ].join("\n");
+    return { content: [{ type: "text", text: content }] };
+  })
+);
+
+// Tool 4.8: Generate a Markdown or HTML report
+server.tool(
+  "generate_report",
+  `Generate a shareable report for an AWS Pricing Calculator estimate (e.g. one just returned by create_estimate).
+'markdown' produces a document for design docs and PR descriptions; 'html' produces a self-contained file that renders offline.
+Both include a summary, per-group subtotals, a configuration table per service using the calculator's field labels, and the shareable link.
+Provide outputPath to write the report to a local file instead of returning it inline.`,
+  {
+    estimateId: z.string().describe("Estimate ID or full URL"),
+    format: z.enum(["markdown", "html"]).default("markdown").describe("Report format"),
+    outputPath: z.string().optional().describe("Local file path to write the report to"),
+  },
+  withRequestSignal(async ({ estimateId, format, outputPath }) => {
+    const { id, data } = await loadEstimate(estimateId);
+    const report = normalizeEstimate(data, { id });
+    const fieldLabels = await collectFieldLabels(report);
+    const content = format === "html" ? estimateToHtml(report, fieldLabels) : estimateToMarkdown(report, fieldLabels);
+
+    if (outputPath) {
+      const written = await writeOutputFile(outputPath, content);
+      return { content: [{ type: "text", text: `✅ Wrote ${format === "html" ? "HTML" : "Markdown"} report for "${report.name}" to ${written}` }] };
+    }
+    return { content: [{ type: "text", text: content }] };
+  })
+);
+
+// Tool 4.9: Compare one configuration across regions
+server.tool(
+  "compare_regions",
+  `Price the same configuration in several AWS regions and return them ranked from cheapest to most expensive (by 12-month cost).
+Provide either one service (serviceCode, inputs, optional templateId) or estimateId to price every service of a saved estimate.
+'regions' is a list of region codes, or "all" for every region the calculator supports.
+Regions where a service isn't offered or where pricing lookups came back empty are flagged and ranked last.`,
+  {
+    serviceCode: z.string().optional().describe("Service code from search_services"),
+    templateId: z.string().optional().describe("Optional template ID for the service"),
+    inputs: z.record(z.any()).default({}).describe("Input field values keyed by field ID from get_service_schema"),
+    estimateId: z.string().optional().describe("Estimate ID or full URL to compare instead of a single service"),
+    regions: z.union([z.array(z.string()).min(1), z.literal("all")]).default("all").describe("Region codes to compare, or \"all\""),
+    currency: z.enum(CURRENCY_CODES).optional().describe("Currency to price in (defaults to the estimate's currency, or USD)"),
+    locale: z.enum(LOCALES).default("en_US").describe("Locale of the option labels used in 'inputs'"),
+  },
+  withRequestSignal(async ({ serviceCode, templateId, inputs, estimateId, regions, currency, locale }) => {
+    if (!serviceCode === !estimateId) throw new Error("Provide either 'serviceCode' or 'estimateId'");
+    let services;
+    if (estimateId) {
+      const { data } = await loadEstimate(estimateId);
+      currency = currency || data.metaData?.currency;
+      services = Object.values(data.services || {}).map((s) => ({
+        serviceCode: s.serviceCode,
+        serviceName: s.serviceName,
+        templateId: s.templateId,
+        inputs: s.calculationComponents || {},
+      }));
+    } else {
+      const def = await fetchServiceDef(serviceCode, locale);
+      services = [{ serviceCode, serviceName: def.serviceName, templateId, inputs }];
+    }
+    currency = currency || "USD";
+
+    const comparison = await compareRegions({
+      services,
+      regions: regions === "all" ? Object.keys(manifestRegionNames(await getManifest(locale).catch(() => null))) : regions,
+      currency,
+      locale,
+    });
+
+    const money = (amount) => formatMoney(amount, currency);
+    const table = formatTable(["#", "Region", "Monthly", "Upfront", "12-month", "Notes"], comparison.regions.map((r) => [
+      r.rank,
+      `${r.regionName} (${r.region})`,
+      money(r.monthly),
+      money(r.upfront),
+      money(r.twelveMonth),
+      [
+        r.unavailable.length ? `⚠️ not offered: ${r.unavailable.join(", ")}` : "",
+        r.missingPricing.length ? `⚠️ no pricing data: ${r.missingPricing.join(", ")}` : "",
+      ].filter(Boolean).join("; "),
+    ]));
 
     return {
       content: [
-        { type: "text", text: summary },
-        { type: "text", text: "\nFull data:\n" + JSON.stringify(data, null, 2) },
+        { type: "text", text: `🌍 ${comparison.services.join(", ")} across ${comparison.regions.length} regions\n\n${table}` },
+        { type: "text", text: "\nFull comparison:\n" + JSON.stringify(comparison, null, 2) },
       ],
     };
-  }
+  })
 );
 
+// Tool 5: Inspect or purge the local cache
+server.tool(
+  "manage_cache",
+  `Inspect or purge the persistent on-disk cache of the service manifest, service definitions and pricing maps.
+'inspect' reports entry counts, sizes, freshness and TTLs per resource kind; 'purge' deletes cached entries so the next call re-downloads them.`,
+  {
+    action: z.enum(["inspect", "purge"]).default("inspect").describe("Whether to inspect or purge the cache"),
+    kind: z.enum(CACHE_KINDS).optional().describe("Limit to one resource kind (default: all kinds)"),
+  },
+  withRequestSignal(async ({ action, kind }) => {
+    const result = action === "purge" ? await purgeCache(kind) : await inspectCache(kind);
+    return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+  })
+);
+
+// --- Command-line interface ---
+
+// `aws-calculator-mcp <command>` runs one operation and exits; with no command the MCP server starts.
+// Exit codes: 0 success, 1 operation failed, 2 invalid usage.
+const CLI_USAGE = `Usage: aws-calculator-mcp [command] [options]
+
+Without a command, starts the MCP server on stdio.
+
+Commands:
+  search <query>                 Search services by keyword
+      --limit <n>, --offset <n>  Page through results (default 15 from 0, limit 1–100)
+      --region <code>            Only services offered in this region
+  schema <serviceCode>           Show the input fields of a service
+  price <serviceCode>            Price one service configuration
+      --region <code>            AWS region (default us-east-1)
+      --template <id>            Calculator template ID
+      --input <field=value>      Input by field ID or label, units as strings (repeatable)
+      --explain                  Include the engine's step-by-step calculation trace
+  create <spec-file>             Create an estimate from a YAML or JSON spec
+  load <id|url>                  Load a saved estimate
+  diff <id|url> <id|url>         Compare two saved estimates
+
+Options:
+  --currency <code>              Currency for price (default USD)
+  --locale <locale>              Locale for labels (default en_US)
+  --json                         Print JSON instead of tables
+  -h, --help                     Show this help`;
+
+const CLI_COMMANDS = {
+  search: { args: ["query"] },
+  schema: { args: ["serviceCode"] },
+  price: { args: ["serviceCode"] },
+  create: { args: ["specFile"] },
+  load: { args: ["estimateId"] },
+  diff: { args: ["estimateA", "estimateB"] },
+};
+
+class UsageError extends Error {}
+
+// Parse --input field=value pairs; values are read as YAML scalars so numbers stay numbers
+function parseCliInputs(pairs = []) {
+  const inputs = {};
+  for (const pair of pairs) {
+    const eq = pair.indexOf("=");
+    if (eq <= 0) throw new UsageError(`--input expects field=value, got '${pair}'`);
+    const raw = pair.slice(eq + 1);
+    let value = raw;
+    try { value = YAML.parse(raw) ?? raw; } catch { /* keep the raw string */ }
+    inputs[pair.slice(0, eq).trim()] = value;
+  }
+  return inputs;
+}
+
+async function runCliCommand(command, positionals, options) {
+  const { currency, locale } = options;
+  switch (command) {
+    case "search": {
+      const matches = await searchServices(positionals[0], locale, { limit: Number(options.limit), offset: Number(options.offset), region: options.region || null });
+      const shown = `Showing ${matches.results.length ? `${matches.offset + 1}–${matches.offset + matches.results.length}` : "0"} of ${matches.total}`;
+      return { json: matches, text: `${formatTable(["Score", "Name", "Service code", "Regions"], matches.results.map((m) => [m.score, m.name, m.serviceCode, m.regions]))}\n\n${shown}` };
+    }
+    case "schema": {
+      const schema = await getServiceSchema(positionals[0], locale);
+      const describe = (i) => i.options?.map((o) => o.label).join(", ") || i.unitOptions?.map((o) => o.label || o.value).join(", ") || i.unit || "";
+      const text = [
+        `${schema.serviceName} (${schema.serviceCode})`,
+        "",
+        formatTable(["ID", "Label", "Type", "Default", "Options / units"], schema.inputs.map((i) => [
+          i.id, i.label, i.type, typeof i.default === "object" && i.default !== null ? JSON.stringify(i.default) : i.default, describe(i),
+        ])),
+      ];
+      if (schema.templates.length > 1) text.push("", `Templates: ${schema.templates.map((t) => t.id).join(", ")}`);
+      if (schema.note) text.push("", schema.note);
+      return { json: schema, text: text.join("\n") };
+    }
+    case "price": {
+      const serviceCode = positionals[0];
+      const rawInputs = parseCliInputs(options.input);
+      const { inputs: fields } = await loadServiceInputs(serviceCode, options.template || null, locale);
+      const errors = [];
+      const inputs = resolveSpecInputs(fields, rawInputs, "--input", errors);
+      if (errors.length > 0) throw new Error(`Invalid inputs:\n${errors.map((e) => `  • ${e}`).join("\n")}`);
+      const response = await configureService({ serviceCode, region: options.region || "us-east-1", templateId: options.template, inputs, currency, locale, explain: options.explain });
+      const text = [
+        response.summary,
+        "",
+        formatTable(["Field", "Value"], Object.entries(response.calculationComponents).map(([field, c]) => [field, formatComponentValue(c)])),
+        ...(response.breakdown.length ? ["", ...response.breakdown.map((line) => formatBreakdownLine(line, currency))] : []),
+        ...(response.trace ? ["", "Trace:", ...response.trace.map((step) => JSON.stringify(step))] : []),
+        ...(response.warnings || []).map((w) => `⚠️ ${w}`),
+      ];
+      return { json: response, text: text.join("\n") };
+    }
+    case "create": {
+      const spec = await readFile(path.resolve(positionals[0]), "utf8");
+      const created = await createEstimate(await specToEstimate(spec));
+      return { json: created, text: formatCreatedEstimate(created) };
+    }
+    case "load": {
+      const { id, data } = await loadEstimate(positionals[0]);
+      const report = normalizeEstimate(data, { id });
+      const money = (amount) => formatMoney(amount, report.currency);
+      const text = [
+        `${report.name}  ${report.url}`,
+        "",
+        formatTable(["Group", "Service", "Region", "Monthly", "Upfront"], [
+          ...report.services.map((s) => [s.group, s.serviceName, s.region, money(s.monthly), money(s.upfront)]),
+          ...(report.support ? [["", report.support.serviceName, "", money(report.support.monthly), money(report.support.upfront)]] : []),
+        ]),
+        "",
+        `Monthly: ${money(report.totals.monthly)} | Upfront: ${money(report.totals.upfront)} | 12-month: ${money(report.totals.twelveMonth)}`,
+      ];
+      return { json: data, text: text.join("\n") };
+    }
+    case "diff": {
+      const [{ data: a }, { data: b }] = await Promise.all([loadEstimate(positionals[0]), loadEstimate(positionals[1])]);
+      const diff = diffEstimates(a, b);
+      return { json: diff, text: formatEstimateDiff(diff) };
+    }
+  }
+}
+
+// Run a CLI command and return its exit code
+async function runCli(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let command, positionals, options;
+  try {
+    const parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        json: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+        locale: { type: "string", default: "en_US" },
+        currency: { type: "string", default: "USD" },
+        region: { type: "string" },
+        template: { type: "string" },
+        input: { type: "string", multiple: true },
+        explain: { type: "boolean", default: false },
+        limit: { type: "string", default: "15" },
+        offset: { type: "string", default: "0" },
+      },
+    });
+    options = parsed.values;
+    [command, ...positionals] = parsed.positionals;
+    if (options.help || command === "help") {
+      stdout.write(CLI_USAGE + "\n");
+      return 0;
+    }
+    const spec = CLI_COMMANDS[command];
+    if (!spec) throw new UsageError(command ? `Unknown command '${command}'` : "Missing command");
+    if (positionals.length !== spec.args.length) {
+      throw new UsageError(`'${command}' expects ${spec.args.map((a) => `<${a}>`).join(" ")}`);
+    }
+    if (!LOCALES.includes(options.locale)) throw new UsageError(`Unknown locale '${options.locale}' (expected one of: ${LOCALES.join(", ")})`);
+    // Same bounds as the search_services tool's schema
+    if (!/^\d+$/.test(options.limit) || Number(options.limit) < 1 || Number(options.limit) > 100) {
+      throw new UsageError("--limit expects an integer from 1 to 100");
+    }
+    if (!/^\d+$/.test(options.offset)) throw new UsageError("--offset expects a non-negative integer");
+    if (!CURRENCY_CODES.includes(options.currency)) throw new UsageError(`Unknown currency '${options.currency}' (expected one of: ${CURRENCY_CODES.join(", ")})`);
+  } catch (e) {
+    stderr.write(`${e.message}\n\n${CLI_USAGE}\n`);
+    return 2;
+  }
+
+  try {
+    const { json, text } = await runCliCommand(command, positionals, options);
+    stdout.write((options.json ? JSON.stringify(json, null, 2) : text) + "\n");
+    return 0;
+  } catch (e) {
+    stderr.write(`Error: ${e.message}\n`);
+    return e instanceof UsageError ? 2 : 1;
+  }
+}
+
+// --- End command-line interface ---
+
 export {
   extractInputs,
   buildCalcComponents,
@@ -1360,9 +4114,51 @@ export {
   executeMathsSection,
   calculateServiceCostFromDefinition,
   calculateServiceCost,
+  httpFetch,
+  setFixtureMode,
+  fixturePath,
+  configureDiskCache,
+  cacheTtlSetting,
+  httpSettings,
+  retryDelayMs,
+  cachedFetchJSON,
+  inspectCache,
+  purgeCache,
+  resolveEndpoints,
+  configureHttp,
+  formatMoney,
+  formatBreakdownLine,
+  fetchPricingForService,
+  resolveValue,
+  searchServices,
+  listRegions,
+  findServiceKey,
+  applyEstimateUpdate,
+  createEstimate,
+  loadEstimate,
+  supportCharge,
+  formatLoadedEstimate,
+  validateInputs,
+  inputsToJsonSchema,
+  inputsToZodSchema,
+  specToEstimate,
+  diffEstimates,
+  compareRegions,
+  normalizeEstimate,
+  estimateToCsv,
+  estimateToMarkdown,
+  estimateToHtml,
+  runCli,
 };
 
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
+  if (configError) {
+    process.stderr.write(`aws-calculator-mcp: ${configError.message}\n`);
+    process.exitCode = 2;
+  } else if (process.argv.length > 2) {
+    process.exitCode = await runCli(process.argv.slice(2));
+  } else {
+    const transport = new StdioServerTransport();
+    await server.connect(transport);
+  }
 }
@@ -1,6 +1,49 @@
 import { describe, it } from "node:test";
-import { calculateServiceCostFromDefinition } from "./index.js";
+import {
+  calculateServiceCostFromDefinition,
+  httpFetch,
+  setFixtureMode,
+  fixturePath,
+  configureDiskCache,
+  cacheTtlSetting,
+  httpSettings,
+  retryDelayMs,
+  cachedFetchJSON,
+  inspectCache,
+  purgeCache,
+  resolveEndpoints,
+  configureHttp,
+  formatMoney,
+  fetchPricingForService,
+  resolveValue as resolveOptionValue,
+  findServiceKey,
+  applyEstimateUpdate,
+  diffEstimates,
+  normalizeEstimate,
+  estimateToCsv,
+  estimateToMarkdown,
+  estimateToHtml,
+  specToEstimate,
+  runCli,
+  compareRegions,
+  formatBreakdownLine,
+  calculateServiceCost,
+  validateInputs,
+  inputsToJsonSchema,
+  inputsToZodSchema,
+  searchServices,
+  listRegions,
+  supportCharge,
+  formatLoadedEstimate,
+  createEstimate,
+  loadEstimate,
+} from "./index.js";
 import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtemp, readdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
 
 // Most pure helpers are mirrored locally for focused unit tests; exported helpers are imported directly where useful.
 
@@ -942,3 +985,1783 @@ describe("calculateServiceCostFromDefinition", () => {
     assert.deepEqual(result.calculationComponents, { qty: { value: 2 } });
   });
 });
+
+describe("httpFetch record/replay", () => {
+  it("should record responses and replay them without network access", async (t) => {
+    const dir = await mkdtemp(path.join(tmpdir(), "aws-calc-fixtures-"));
+    t.after(async () => {
+      setFixtureMode(null);
+      await rm(dir, { recursive: true, force: true });
+    });
+    const url = "https://d1qsjq9pzbk1k6.cloudfront.net/data/demo/en_US.json";
+
+    t.mock.method(globalThis, "fetch", async () => new Response(JSON.stringify({ serviceCode: "demo" }), { status: 200 }));
+    setFixtureMode("record", dir);
+    const recorded = await httpFetch(url);
+    assert.deepEqual(await recorded.json(), { serviceCode: "demo" });
+    assert.deepEqual(await readdir(dir), [path.basename(fixturePath("GET", url))]);
+
+    t.mock.method(globalThis, "fetch", async () => { throw new Error("network disabled"); });
+    setFixtureMode("replay", dir);
+    const replayed = await httpFetch(url);
+    assert.equal(replayed.status, 200);
+    assert.deepEqual(await replayed.json(), { serviceCode: "demo" });
+  });
+
+  it("should fail with the expected fixture path when a replay fixture is missing", async (t) => {
+    const dir = await mkdtemp(path.join(tmpdir(), "aws-calc-fixtures-"));
+    t.after(async () => {
+      setFixtureMode(null);
+      await rm(dir, { recursive: true, force: true });
+    });
+    setFixtureMode("replay", dir);
+    await assert.rejects(httpFetch("https://d3knqfixx3sbls.cloudfront.net/missing"), /No recorded fixture for GET/);
+  });
+
+  it("should key fixtures by method and URL", () => {
+    const url = "https://dnd5zrqcec4or.cloudfront.net/Prod/v2/saveAs";
+    assert.notEqual(fixturePath("GET", url), fixturePath("POST", url));
+    assert.equal(fixturePath("POST", url), fixturePath("POST", url));
+  });
+
+  it("should reject unknown modes", () => {
+    assert.throws(() => setFixtureMode("playback"), /Unknown fixture mode/);
+  });
+});
+
+describe("cachedFetchJSON", () => {
+  const url = "https://d1qsjq9pzbk1k6.cloudfront.net/data/demo/en_US.json";
+
+  async function useTempCache(t, ttlSeconds) {
+    const dir = await mkdtemp(path.join(tmpdir(), "aws-calc-cache-"));
+    configureDiskCache({ enabled: true, dir, ttlSeconds });
+    t.after(async () => {
+      configureDiskCache({ enabled: false, ttlSeconds: { definition: 24 * 3600 } });
+      await rm(dir, { recursive: true, force: true });
+    });
+    return dir;
+  }
+
+  it("should read cache lifetimes from the environment, keeping 0 and ignoring non-numbers", () => {
+    const warnings = [];
+    const warn = (message) => warnings.push(message);
+    assert.equal(cacheTtlSetting("TTL", 3600, {}, warn), 3600);
+    assert.equal(cacheTtlSetting("TTL", 3600, { TTL: "" }, warn), 3600);
+    assert.equal(cacheTtlSetting("TTL", 3600, { TTL: "0" }, warn), 0);
+    assert.equal(cacheTtlSetting("TTL", 3600, { TTL: "90.5" }, warn), 90.5);
+    assert.deepEqual(warnings, []);
+    assert.equal(cacheTtlSetting("TTL", 3600, { TTL: "1h" }, warn), 3600);
+    assert.equal(cacheTtlSetting("TTL", 3600, { TTL: "-5" }, warn), 3600);
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[0], /ignoring TTL="1h"; expected a number of seconds >= 0\. Using 3600\./);
+  });
+
+  it("should serve fresh entries from disk without refetching", async (t) => {
+    await useTempCache(t, { definition: 3600 });
+    const fetchMock = t.mock.method(globalThis, "fetch", async () => new Response(JSON.stringify({ v: 1 }), { status: 200 }));
+    assert.deepEqual(await cachedFetchJSON(url, "definition"), { v: 1 });
+    assert.deepEqual(await cachedFetchJSON(url, "definition"), { v: 1 });
+    assert.equal(fetchMock.mock.callCount(), 1);
+  });
+
+  it("should revalidate stale entries with ETag and keep the body on 304", async (t) => {
+    await useTempCache(t, { definition: 0 });
+    t.mock.method(globalThis, "fetch", async () => new Response(JSON.stringify({ v: 1 }), { status: 200, headers: { etag: '"abc"' } }));
+    await cachedFetchJSON(url, "definition");
+
+    const revalidate = t.mock.method(globalThis, "fetch", async () => new Response(null, { status: 304 }));
+    assert.deepEqual(await cachedFetchJSON(url, "definition"), { v: 1 });
+    assert.equal(revalidate.mock.calls[0].arguments[1].headers["If-None-Match"], '"abc"');
+  });
+
+  it("should serve a stale entry when revalidation fails", async (t) => {
+    await useTempCache(t, { definition: 0 });
+    t.mock.method(globalThis, "fetch", async () => new Response(JSON.stringify({ v: 1 }), { status: 200 }));
+    await cachedFetchJSON(url, "definition");
+    t.mock.method(globalThis, "fetch", async () => { throw new Error("offline"); });
+    assert.deepEqual(await cachedFetchJSON(url, "definition"), { v: 1 });
+  });
+
+  it("should inspect and purge entries per kind", async (t) => {
+    await useTempCache(t, { definition: 3600 });
+    t.mock.method(globalThis, "fetch", async () => new Response(JSON.stringify({ v: 1 }), { status: 200 }));
+    await cachedFetchJSON(url, "definition");
+
+    const before = await inspectCache("definition");
+    assert.equal(before.kinds.definition.entries, 1);
+    assert.equal(before.kinds.definition.fresh, 1);
+    assert.deepEqual(before.kinds.definition.urls, [url]);
+
+    assert.equal((await purgeCache("definition")).removed, 1);
+    assert.equal((await inspectCache("definition")).kinds.definition.entries, 0);
+  });
+});
+
+describe("resolveEndpoints", () => {
+  it("should default to the public calculator.aws hosts", () => {
+    const endpoints = resolveEndpoints({});
+    assert.equal(endpoints.save, "https://dnd5zrqcec4or.cloudfront.net/Prod/v2/saveAs");
+    assert.equal(endpoints.data, "https://d1qsjq9pzbk1k6.cloudfront.net");
+    assert.equal(endpoints.pricing, "https://calculator.aws");
+  });
+
+  it("should prefer environment variables over the config file", async (t) => {
+    const dir = await mkdtemp(path.join(tmpdir(), "aws-calc-config-"));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    const configPath = path.join(dir, "config.json");
+    await writeFile(configPath, JSON.stringify({ endpoints: { data: "http://mirror.internal/data/", pricing: "http://mirror.internal" } }));
+
+    const endpoints = resolveEndpoints({ AWS_CALC_CONFIG: configPath, AWS_CALC_PRICING_URL: "http://localhost:9000" });
+    assert.equal(endpoints.data, "http://mirror.internal/data");
+    assert.equal(endpoints.pricing, "http://localhost:9000");
+    assert.equal(endpoints.load, "https://d3knqfixx3sbls.cloudfront.net");
+  });
+
+  it("should report an unreadable config file", () => {
+    assert.throws(() => resolveEndpoints({ AWS_CALC_CONFIG: "/nonexistent/config.json" }), /Failed to read config file/);
+  });
+
+  it("should exit with code 2 and a one-line message when the config file is broken at startup", () => {
+    const entry = fileURLToPath(new URL("./index.js", import.meta.url));
+    const run = spawnSync(process.execPath, [entry, "search", "lambda"], {
+      env: { ...process.env, AWS_CALC_CONFIG: "/nonexistent/config.json" },
+      encoding: "utf8",
+      timeout: 30000,
+    });
+    assert.equal(run.status, 2);
+    assert.equal(run.stdout, "");
+    assert.match(run.stderr, /^aws-calculator-mcp: Failed to read config file '\/nonexistent\/config\.json'/);
+    assert.doesNotMatch(run.stderr, /\n\s+at /);
+  });
+});
+
+describe("httpFetch retries and limits", () => {
+  const url = "https://calculator.aws/pricing/2.0/meteredUnitMaps/demo/USD/current/demo.json";
+
+  function useFastRetries(t, overrides = {}) {
+    configureHttp({ backoffMs: 1, retries: 3, timeoutMs: 60000, concurrency: 6, ...overrides });
+    t.after(() => configureHttp({ backoffMs: 250, retries: 3, timeoutMs: 60000, concurrency: 6 }));
+  }
+
+  it("should retry 5xx responses with backoff and return the first success", async (t) => {
+    useFastRetries(t);
+    let calls = 0;
+    t.mock.method(globalThis, "fetch", async () => (++calls < 3 ? new Response("busy", { status: 503 }) : new Response("{}", { status: 200 })));
+    const resp = await httpFetch(url);
+    assert.equal(resp.status, 200);
+    assert.equal(calls, 3);
+  });
+
+  it("should return the last failed response once retries are exhausted", async (t) => {
+    useFastRetries(t, { retries: 2 });
+    const fetchMock = t.mock.method(globalThis, "fetch", async () => new Response("throttled", { status: 429 }));
+    const resp = await httpFetch(url);
+    assert.equal(resp.status, 429);
+    assert.equal(fetchMock.mock.callCount(), 3);
+  });
+
+  it("should not retry 5xx responses to POST requests", async (t) => {
+    useFastRetries(t);
+    const fetchMock = t.mock.method(globalThis, "fetch", async () => new Response("error", { status: 500 }));
+    const resp = await httpFetch(url, { method: "POST", body: "{}" });
+    assert.equal(resp.status, 500);
+    assert.equal(fetchMock.mock.callCount(), 1);
+  });
+
+  it("should time out hung requests", async (t) => {
+    useFastRetries(t, { retries: 0, timeoutMs: 20 });
+    t.mock.method(globalThis, "fetch", (_url, init) => new Promise((_resolve, reject) => {
+      init.signal.addEventListener("abort", () => reject(init.signal.reason));
+    }));
+    await assert.rejects(httpFetch(url), /Timed out after 20ms/);
+  });
+
+  it("should stop when the caller's signal is aborted", async (t) => {
+    useFastRetries(t);
+    const controller = new AbortController();
+    t.mock.method(globalThis, "fetch", (_url, init) => new Promise((_resolve, reject) => {
+      init.signal.addEventListener("abort", () => reject(init.signal.reason));
+      controller.abort(new Error("cancelled by client"));
+    }));
+    await assert.rejects(httpFetch(url, { signal: controller.signal }), /cancelled by client/);
+  });
+
+  it("should cap the number of concurrent requests", async (t) => {
+    useFastRetries(t, { concurrency: 2 });
+    let active = 0, peak = 0;
+    t.mock.method(globalThis, "fetch", async () => {
+      peak = Math.max(peak, ++active);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      active--;
+      return new Response("{}", { status: 200 });
+    });
+    await Promise.all(Array.from({ length: 6 }, () => httpFetch(url)));
+    assert.equal(peak, 2);
+  });
+
+  it("should fall back to the defaults for invalid HTTP settings and warn", () => {
+    const warnings = [];
+    const settings = httpSettings({ AWS_CALC_HTTP_TIMEOUT_MS: "0", AWS_CALC_HTTP_RETRIES: "abc", AWS_CALC_HTTP_CONCURRENCY: "1.5" }, (message) => warnings.push(message));
+    assert.deepEqual(settings, { timeoutMs: 60000, retries: 3, concurrency: 6 });
+    assert.equal(warnings.length, 3);
+    assert.match(warnings[1], /AWS_CALC_HTTP_RETRIES="abc"; expected an integer >= 0/);
+    assert.deepEqual(httpSettings({ AWS_CALC_HTTP_RETRIES: "-1" }, (message) => warnings.push(message)).retries, 3);
+  });
+
+  it("should accept zero retries and valid HTTP settings", () => {
+    const warnings = [];
+    const settings = httpSettings({ AWS_CALC_HTTP_TIMEOUT_MS: "5000", AWS_CALC_HTTP_RETRIES: "0", AWS_CALC_HTTP_CONCURRENCY: "2" }, (message) => warnings.push(message));
+    assert.deepEqual(settings, { timeoutMs: 5000, retries: 0, concurrency: 2 });
+    assert.deepEqual(warnings, []);
+  });
+
+  it("should honour Retry-After as seconds or an HTTP date, capped at 10 seconds", () => {
+    const withHeader = (value) => new Response(null, { status: 503, headers: { "retry-after": value } });
+    assert.equal(retryDelayMs(0, withHeader("2")), 2000);
+    assert.equal(retryDelayMs(0, withHeader("120")), 10000);
+    const dated = retryDelayMs(0, withHeader(new Date(Date.now() + 5000).toUTCString()));
+    assert.ok(dated > 3000 && dated <= 5000, `expected about 5s, got ${dated}`);
+    assert.equal(retryDelayMs(0, withHeader(new Date(Date.now() + 60000).toUTCString())), 10000);
+  });
+});
+
+describe("currency support", () => {
+  const def = {
+    mappingDefinitions: [{ mappingDefinitionName: "demoPricing", mappingDefinitionURL: "pricing/2.0/meteredUnitMaps/demo/[currency]/current/demo.json" }],
+    templates: [{
+      cards: [{
+        inputSection: {
+          components: [{ id: "unitPrice", type: "pricing", subType: "singlePricePoint", mappingDefinitionName: "demoPricing", meteredUnit: { allRegions: "Unit" } }],
+        },
+      }],
+    }],
+  };
+  const priceFile = (price) => JSON.stringify({ regions: { "Test Region": { Unit: { price: String(price) } } } });
+
+  it("should format amounts with the currency symbol", () => {
+    assert.equal(formatMoney(12.5, "EUR"), "€12.50");
+    assert.equal(formatMoney(3, "GBP"), "£3.00");
+    assert.equal(formatMoney(1), "$1.00");
+    assert.equal(formatMoney(7, "XYZ"), "XYZ 7.00");
+  });
+
+  it("should fetch pricing maps in the requested currency", async (t) => {
+    configureDiskCache({ enabled: false });
+    const fetchMock = t.mock.method(globalThis, "fetch", async () => new Response(priceFile(0.9), { status: 200 }));
+    const pricing = await fetchPricingForService(def, "Test Region", null, "EUR");
+    assert.deepEqual(pricing.demoPricing, { Unit: 0.9 });
+    assert.equal(pricing.__currencyFallbacks, undefined);
+    assert.match(fetchMock.mock.calls[0].arguments[0], /\/demo\/EUR\/current\/demo\.json$/);
+  });
+
+  it("should fall back to USD and flag maps not published in the currency", async (t) => {
+    configureDiskCache({ enabled: false });
+    configureHttp({ retries: 0 });
+    t.after(() => configureHttp({ retries: 3 }));
+    t.mock.method(globalThis, "fetch", async (url) => (url.includes("/GBP/")
+      ? new Response("not found", { status: 404 })
+      : new Response(priceFile(1), { status: 200 })));
+    const pricing = await fetchPricingForService(def, "Test Region", null, "GBP");
+    assert.deepEqual(pricing.demoPricing, { Unit: 1 });
+    assert.deepEqual(pricing.__currencyFallbacks, ["demoPricing"]);
+  });
+
+  it("should not fall back to USD when the currency map fails for another reason", async (t) => {
+    configureDiskCache({ enabled: false });
+    configureHttp({ retries: 0 });
+    t.after(() => configureHttp({ retries: 3 }));
+    const fetchMock = t.mock.method(globalThis, "fetch", async (url) => (url.includes("/JPY/")
+      ? new Response("unavailable", { status: 503 })
+      : new Response(priceFile(1), { status: 200 })));
+    const pricing = await fetchPricingForService(def, "Test Region", null, "JPY");
+    assert.deepEqual(pricing.demoPricing, {});
+    assert.equal(pricing.__currencyFallbacks, undefined);
+    assert.ok(fetchMock.mock.calls.every((call) => !call.arguments[0].includes("/USD/")));
+  });
+});
+
+describe("resolveValue with localized labels", () => {
+  const input = {
+    id: "storageClass",
+    options: [
+      { label: "S3 標準", value: "s3Standard" },
+      { label: "S3 Glacier Deep Archive", value: "s3GlacierDeepArchive" },
+      { label: "Größe", value: "size" },
+    ],
+  };
+
+  it("should match labels exactly in the chosen locale", () => {
+    assert.equal(resolveOptionValue(input, "S3 標準"), "s3Standard");
+  });
+
+  it("should match full-width and half-width forms", () => {
+    assert.equal(resolveOptionValue(input, "Ｓ３ 標準"), "s3Standard");
+  });
+
+  it("should match decomposed accents, case and extra spacing", () => {
+    assert.equal(resolveOptionValue(input, "gro\u0308ße"), "size");
+    assert.equal(resolveOptionValue(input, "  s3 glacier   deep archive "), "s3GlacierDeepArchive");
+  });
+
+  it("should still pass through unknown values", () => {
+    assert.equal(resolveOptionValue(input, "S3 Standard"), "S3 Standard");
+  });
+});
+
+describe("update_estimate helpers", () => {
+  const estimate = () => ({
+    name: "Demo",
+    services: {
+      "aWSLambda-1": { serviceCode: "aWSLambda", serviceName: "AWS Lambda", region: "us-east-1", calculationComponents: { memory: { value: 512 } }, serviceCost: { monthly: 10, upfront: 0 } },
+      "amazonS3-1": { serviceCode: "amazonS3", serviceName: "Amazon S3", region: "us-east-1", calculationComponents: {}, serviceCost: { monthly: 5, upfront: 0 } },
+      "amazonS3-2": { serviceCode: "amazonS3", serviceName: "Amazon S3 Logs", region: "us-east-1", calculationComponents: {}, serviceCost: { monthly: 1, upfront: 2 } },
+    },
+    groups: { "group-a": { name: "Backend", services: ["aWSLambda-1", "amazonS3-1"] } },
+    totalCost: { monthly: 16, upfront: 2 },
+    metaData: { currency: "USD", locale: "en_US", createdOn: "2024-01-01T00:00:00.000Z" },
+  });
+
+  function offline(t) {
+    configureDiskCache({ enabled: false });
+    configureHttp({ retries: 0 });
+    t.after(() => configureHttp({ retries: 3 }));
+    t.mock.method(globalThis, "fetch", async () => { throw new Error("offline"); });
+  }
+
+  it("should find services by key, display name or unique service code", () => {
+    const { services } = estimate();
+    assert.equal(findServiceKey(services, "amazonS3-2"), "amazonS3-2");
+    assert.equal(findServiceKey(services, "aws lambda"), "aWSLambda-1");
+    assert.equal(findServiceKey(services, "aWSLambda"), "aWSLambda-1");
+  });
+
+  it("should reject unknown and ambiguous references", () => {
+    const { services } = estimate();
+    assert.throws(() => findServiceKey(services, "Amazon EC2"), /No service matches 'Amazon EC2'/);
+    assert.throws(() => findServiceKey(services, "amazonS3"), /matches 2 services/);
+  });
+
+  it("should remove services from the estimate and its groups", async (t) => {
+    offline(t);
+    const { payload, changes } = await applyEstimateUpdate(estimate(), { remove: ["Amazon S3"] });
+    assert.deepEqual(Object.keys(payload.services), ["aWSLambda-1", "amazonS3-2"]);
+    assert.deepEqual(payload.groups["group-a"].services, ["aWSLambda-1"]);
+    assert.deepEqual(payload.totalCost, { monthly: 11, upfront: 2 });
+    assert.equal(changes[0].action, "removed");
+  });
+
+  it("should merge modified inputs and keep untouched services and the service key", async (t) => {
+    offline(t);
+    const original = estimate();
+    const { payload, changes } = await applyEstimateUpdate(original, {
+      modify: [{ service: "AWS Lambda", calculationComponents: { requests: { value: 5 } }, monthlyCost: 12 }],
+    });
+    const lambda = payload.services["aWSLambda-1"];
+    assert.deepEqual(lambda.calculationComponents, { memory: { value: 512 }, requests: { value: 5 } });
+    assert.deepEqual(lambda.serviceCost, { monthly: 12, upfront: 0 });
+    assert.deepEqual(payload.services["amazonS3-1"], original.services["amazonS3-1"]);
+    assert.deepEqual(payload.groups, { "group-a": { ...original.groups["group-a"], groupSubtotal: { monthly: 17, upfront: 0 } } });
+    assert.deepEqual(payload.totalCost, { monthly: 18, upfront: 2 });
+    assert.deepEqual(changes[0].before, { monthly: 10, upfront: 0 });
+  });
+
+  it("should keep the saved cost when only the description or group changes", async (t) => {
+    const fetchMock = t.mock.method(globalThis, "fetch", async () => { throw new Error("offline"); });
+    const original = estimate();
+    const { payload, changes } = await applyEstimateUpdate(original, {
+      modify: [{ service: "AWS Lambda", description: "Checkout API", group: "Frontend" }],
+    });
+    const lambda = payload.services["aWSLambda-1"];
+    assert.deepEqual(lambda, { ...original.services["aWSLambda-1"], description: "Checkout API" });
+    assert.deepEqual(lambda.serviceCost, { monthly: 10, upfront: 0 });
+    assert.deepEqual(payload.totalCost, { monthly: 16, upfront: 2 });
+    assert.deepEqual(changes[0].after, changes[0].before);
+    assert.deepEqual(Object.values(payload.groups).find((g) => g.name === "Frontend").services, ["aWSLambda-1"]);
+    assert.equal(fetchMock.mock.callCount(), 0);
+  });
+
+  it("should add services into new or existing groups", async (t) => {
+    offline(t);
+    const { payload } = await applyEstimateUpdate(estimate(), {
+      add: [{ serviceCode: "amazonSQS", serviceName: "Amazon SQS", region: "us-east-1", monthlyCost: 3, upfrontCost: 0, group: "Backend" }],
+    });
+    const [addedKey] = Object.keys(payload.services).filter((k) => k.startsWith("amazonSQS-"));
+    assert.ok(addedKey);
+    assert.ok(payload.groups["group-a"].services.includes(addedKey));
+    assert.equal(payload.totalCost.monthly, 19);
+  });
+});
+
+describe("diffEstimates", () => {
+  const a = {
+    name: "v1",
+    services: {
+      "lambda-1": { serviceCode: "aWSLambda", serviceName: "AWS Lambda", region: "us-east-1", calculationComponents: { requests: { value: 10, unit: "millionPerMonth" }, memory: { value: 512, unit: "MB" } }, serviceCost: { monthly: 11.8, upfront: 0 } },
+      "s3-1": { serviceCode: "amazonS3", serviceName: "Amazon S3", region: "us-east-1", calculationComponents: {}, serviceCost: { monthly: 2.39, upfront: 0 } },
+      "cf-1": { serviceCode: "amazonCloudFront", serviceName: "Amazon CloudFront", region: "us-east-1", calculationComponents: {}, serviceCost: { monthly: 5, upfront: 0 } },
+    },
+    totalCost: { monthly: 19.19, upfront: 0 },
+    metaData: { currency: "USD" },
+  };
+  const b = {
+    name: "v2",
+    services: {
+      "lambda-1": { serviceCode: "aWSLambda", serviceName: "AWS Lambda", region: "us-east-1", calculationComponents: { requests: { value: 20, unit: "millionPerMonth" }, memory: { value: 512, unit: "MB" } }, serviceCost: { monthly: 23.6, upfront: 0 } },
+      "s3-other-key": { serviceCode: "amazonS3", serviceName: "Amazon S3", region: "us-east-1", calculationComponents: {}, serviceCost: { monthly: 2.39, upfront: 0 } },
+      "ec2-1": { serviceCode: "ec2Enhancement", serviceName: "Amazon EC2", region: "us-east-1", calculationComponents: {}, serviceCost: { monthly: 30, upfront: 100 } },
+    },
+    totalCost: { monthly: 55.99, upfront: 100 },
+    metaData: { currency: "USD" },
+  };
+
+  it("should report added, removed and unchanged services", () => {
+    const diff = diffEstimates(a, b);
+    assert.deepEqual(diff.added.map((s) => s.serviceName), ["Amazon EC2"]);
+    assert.deepEqual(diff.removed.map((s) => s.serviceName), ["Amazon CloudFront"]);
+    assert.equal(diff.unchanged, 1); // S3 matched by identity despite a different key
+  });
+
+  it("should report per-service deltas and changed component values", () => {
+    const diff = diffEstimates(a, b);
+    assert.equal(diff.changed.length, 1);
+    const lambda = diff.changed[0];
+    assert.ok(Math.abs(lambda.monthlyDelta - 11.8) < 1e-9);
+    assert.deepEqual(lambda.componentChanges.map((c) => [c.field, c.beforeText, c.afterText]), [["requests", "10 millionPerMonth", "20 millionPerMonth"]]);
+  });
+
+  it("should report the total delta", () => {
+    const diff = diffEstimates(a, b);
+    assert.ok(Math.abs(diff.totals.monthlyDelta - 36.8) < 1e-9);
+    assert.equal(diff.totals.upfrontDelta, 100);
+  });
+
+  it("should pair services whose region changed", () => {
+    const moved = structuredClone(a);
+    moved.services = { "other-key": { ...a.services["cf-1"], region: "eu-west-1" } };
+    const diff = diffEstimates({ ...a, services: { "cf-1": a.services["cf-1"] } }, moved);
+    assert.equal(diff.added.length, 0);
+    assert.deepEqual(diff.changed[0].attributeChanges, [{ field: "region", before: "us-east-1", after: "eu-west-1" }]);
+  });
+});
+
+describe("estimate exports", () => {
+  const data = {
+    name: "My App",
+    services: {
+      "lambda-1": { serviceCode: "aWSLambda", serviceName: "AWS Lambda", region: "us-east-1", configSummary: "10M requests, 512 MB", calculationComponents: {}, serviceCost: { monthly: 11.8, upfront: 0 } },
+      "ec2-1": { serviceCode: "ec2Enhancement", serviceName: "Amazon EC2, \"prod\"", region: "eu-west-1", calculationComponents: { instanceType: { value: "t3.micro" }, storage: { value: 30, unit: "GB" } }, serviceCost: { monthly: 10, upfront: 100 } },
+    },
+    groups: { "group-1": { name: "Backend", services: ["lambda-1"] } },
+    totalCost: { monthly: 21.8, upfront: 100 },
+    metaData: { currency: "EUR", locale: "en_US", createdOn: "2024-01-01T00:00:00.000Z" },
+  };
+
+  it("should normalize services into line items with groups and 12-month cost", () => {
+    const report = normalizeEstimate(data, { id: "abc123" });
+    assert.equal(report.currency, "EUR");
+    assert.equal(report.url, "https://calculator.aws/#/estimate?id=abc123");
+    assert.equal(report.services[0].group, "Backend");
+    assert.equal(report.services[1].group, null);
+    assert.equal(report.services[1].twelveMonth, 220);
+    assert.equal(report.services[1].configSummary, "instanceType: t3.micro; storage: 30 GB");
+    assert.deepEqual(report.totals, { monthly: 21.8, upfront: 100, twelveMonth: 361.6 });
+  });
+
+  it("should produce one CSV row per service with escaped cells", () => {
+    const lines = estimateToCsv(normalizeEstimate(data)).trimEnd().split("\r\n");
+    assert.equal(lines[0], "Group,Service,Region,Config summary,Monthly (EUR),Upfront (EUR),12-month (EUR)");
+    assert.equal(lines[1], 'Backend,AWS Lambda,us-east-1,"10M requests, 512 MB",11.80,0.00,141.60');
+    assert.equal(lines[2], ',"Amazon EC2, ""prod""",eu-west-1,instanceType: t3.micro; storage: 30 GB,10.00,100.00,220.00');
+    assert.equal(lines.length, 3);
+  });
+
+  it("should neutralize spreadsheet formulas in text cells", () => {
+    const report = normalizeEstimate({ ...data, services: { x: { ...data.services["lambda-1"], serviceName: "=HYPERLINK(1)" } } });
+    assert.match(estimateToCsv(report), /,'=HYPERLINK\(1\),/);
+  });
+});
+
+describe("estimate reports", () => {
+  const report = normalizeEstimate({
+    name: "Web <App>",
+    services: {
+      "lambda-1": { serviceCode: "aWSLambda", serviceName: "AWS Lambda", region: "us-east-1", calculationComponents: { architecture: { value: "arm64" }, memory: { value: 512, unit: "MB" } }, serviceCost: { monthly: 11.8, upfront: 0 } },
+      "s3-1": { serviceCode: "amazonS3", serviceName: "Amazon S3", region: "us-east-1", calculationComponents: {}, serviceCost: { monthly: 2.4, upfront: 0 } },
+      "ec2-1": { serviceCode: "ec2Enhancement", serviceName: "Amazon EC2", region: "us-east-1", calculationComponents: {}, serviceCost: { monthly: 20, upfront: 50 } },
+    },
+    groups: { "group-1": { name: "Backend", services: ["lambda-1", "s3-1"] } },
+    totalCost: { monthly: 34.2, upfront: 50 },
+    metaData: { currency: "USD", locale: "en_US" },
+  }, { id: "abc123" });
+  const labels = {
+    "lambda-1": {
+      architecture: { label: "Architecture", options: [{ label: "Arm", value: "arm64" }, { label: "x86", value: "x86" }] },
+      memory: { label: "Amount of memory allocated", options: null },
+    },
+  };
+
+  it("should render Markdown with summary, group subtotals and labelled configuration tables", () => {
+    const md = estimateToMarkdown(report, labels);
+    assert.match(md, /^# Web <App>/);
+    assert.match(md, /\[Open in AWS Pricing Calculator\]\(https:\/\/calculator\.aws\/#\/estimate\?id=abc123\)/);
+    assert.match(md, /\| \$34\.20 \| \$50\.00 \| \$460\.40 \| 3 \|/);
+    assert.match(md, /\| Backend \| 2 \| \$14\.20 \| \$0\.00 \| \$170\.40 \|/);
+    assert.match(md, /\| Ungrouped \| 1 \| \$20\.00 \| \$50\.00 \| \$290\.00 \|/);
+    assert.match(md, /\| Architecture \| Arm \|/);
+    assert.match(md, /\| Amount of memory allocated \| 512 MB \|/);
+  });
+
+  it("should render self-contained HTML with escaped content", () => {
+    const html = estimateToHtml(report, labels);
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<title>Web &lt;App&gt;<\/title>/);
+    assert.match(html, /<td>Architecture<\/td><td>Arm<\/td>/);
+    assert.doesNotMatch(html, /<(link|script)\b/);
+  });
+});
+
+describe("estimate specs", () => {
+  const lambdaDef = {
+    serviceName: "AWS Lambda",
+    serviceCode: "aWSLambda",
+    templates: [{
+      id: "lambdaWithoutFreeTier",
+      cards: [{
+        inputSection: {
+          components: [
+            { id: "architecture", label: "Architecture", subType: "dropdown", options: [{ label: "x86", value: "x86" }, { label: "Arm", value: "arm64" }] },
+            { id: "requests", label: "Number of requests", subType: "frequency", unitOptions: [{ label: "per second", value: "perSecond" }, { label: "per month", value: "perMonth" }] },
+            { id: "storage", label: "Ephemeral storage allocated", subType: "fileSize", unit: "MB" },
+            { id: "memoryMB", label: "Amount of memory allocated", subType: "numericInput" },
+          ],
+        },
+      }],
+    }],
+  };
+
+  function serveDefinitions(t) {
+    configureDiskCache({ enabled: false });
+    configureHttp({ retries: 0 });
+    t.after(() => configureHttp({ retries: 3 }));
+    t.mock.method(globalThis, "fetch", async (url) => (url.includes("/data/aWSLambda/")
+      ? new Response(JSON.stringify(lambdaDef), { status: 200 })
+      : new Response("not found", { status: 404 })));
+  }
+
+  it("should resolve labels, string units and variable references", async (t) => {
+    serveDefinitions(t);
+    const estimate = await specToEstimate(`
+name: Checkout
+currency: EUR
+region: eu-west-1
+variables:
+  rps: 200
+  requests: \${rps} per second
+services:
+  - serviceCode: aWSLambda
+    group: Backend
+    inputs:
+      Architecture: Arm
+      Number of requests: \${requests}
+      storage: 1 GB
+      memoryMB: 512
+`);
+    assert.equal(estimate.name, "Checkout");
+    assert.equal(estimate.currency, "EUR");
+    assert.equal(estimate.locale, "en_US");
+    const [svc] = estimate.services;
+    assert.equal(svc.serviceName, "AWS Lambda");
+    assert.equal(svc.region, "eu-west-1");
+    assert.equal(svc.group, "Backend");
+    assert.deepEqual(svc.calculationComponents, {
+      architecture: "arm64",
+      requests: { value: 200, unit: "perSecond" },
+      storage: { value: 1, unit: "GB" },
+      memoryMB: 512,
+    });
+  });
+
+  it("should accept JSON specs and keep a variable's type for whole references", async (t) => {
+    serveDefinitions(t);
+    const estimate = await specToEstimate(JSON.stringify({
+      name: "JSON",
+      variables: { memory: 1024 },
+      services: [{ serviceCode: "aWSLambda", inputs: { memoryMB: "${memory}" } }],
+    }));
+    assert.equal(estimate.services[0].calculationComponents.memoryMB, 1024);
+    assert.equal(estimate.services[0].region, "us-east-1");
+  });
+
+  it("should report every problem in the spec at once", async (t) => {
+    serveDefinitions(t);
+    await assert.rejects(specToEstimate(`
+name: Broken
+services:
+  - serviceCode: aWSLambda
+    inputs:
+      Architecture: Itanium
+      Colour: blue
+      Number of requests: 5 per fortnight
+      memoryMB: \${memory}
+  - serviceCode: notAService
+`), (e) => {
+      assert.match(e.message, /services\[0\]\.inputs\.Architecture: 'Itanium' is not an option \(expected one of: x86, Arm\)/);
+      assert.match(e.message, /services\[0\]\.inputs: unknown field 'Colour'/);
+      assert.match(e.message, /unknown unit 'per fortnight' \(expected one of: per second, per month\)/);
+      assert.match(e.message, /unknown variable 'memory'/);
+      assert.match(e.message, /services\[1\]: unknown service 'notAService'/);
+      return true;
+    });
+  });
+
+  it("should reject specs that don't match the spec schema", async () => {
+    await assert.rejects(specToEstimate("name: Empty\ncurrency: XYZ\nservices: []\n"), /currency: .*\n.*services/s);
+  });
+});
+
+describe("command-line interface", () => {
+  async function cli(argv) {
+    const out = { stdout: "", stderr: "" };
+    const code = await runCli(argv, {
+      stdout: { write: (text) => { out.stdout += text; } },
+      stderr: { write: (text) => { out.stderr += text; } },
+    });
+    return { code, ...out };
+  }
+
+  function serve(t, routes) {
+    configureDiskCache({ enabled: false });
+    configureHttp({ retries: 0 });
+    t.after(() => configureHttp({ retries: 3 }));
+    t.mock.method(globalThis, "fetch", async (url) => {
+      const route = Object.keys(routes).find((part) => url.includes(part));
+      return route ? new Response(JSON.stringify(routes[route]), { status: 200 }) : new Response("not found", { status: 404 });
+    });
+  }
+
+  it("should print usage and exit 2 for unknown commands, missing arguments or bad options", async () => {
+    for (const argv of [["bogus"], ["diff", "only-one"], ["search", "s3", "--colour"], ["search", "s3", "--currency", "XYZ"]]) {
+      const { code, stderr } = await cli(argv);
+      assert.equal(code, 2, argv.join(" "));
+      assert.match(stderr, /Usage: aws-calculator-mcp/);
+    }
+    const help = await cli(["--help"]);
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /Commands:/);
+  });
+
+  it("should print search results as a table or JSON", async (t) => {
+    serve(t, { "/manifest/ko_KR.json": { awsServices: [{ name: "AWS Lambda ", serviceCode: "aWSLambda", regions: ["us-east-1"] }] } });
+    const table = await cli(["search", "lambda", "--locale", "ko_KR"]);
+    assert.equal(table.code, 0);
+    assert.match(table.stdout, /^Score\s+Name\s+Service code\s+Regions\n-+/);
+    assert.match(table.stdout, /100\s+AWS Lambda\s+aWSLambda\s+1/);
+    assert.match(table.stdout, /Showing 1–1 of 1/);
+    const json = await cli(["search", "lambda", "--locale", "ko_KR", "--json"]);
+    assert.deepEqual(JSON.parse(json.stdout), {
+      total: 1,
+      offset: 0,
+      limit: 15,
+      results: [{ name: "AWS Lambda", serviceCode: "aWSLambda", slug: null, regions: 1, score: 100 }],
+    });
+    const bad = await cli(["search", "lambda", "--limit", "ten"]);
+    assert.equal(bad.code, 2);
+    for (const limit of ["0", "101"]) {
+      const outOfRange = await cli(["search", "lambda", "--limit", limit]);
+      assert.equal(outOfRange.code, 2);
+      assert.match(outOfRange.stderr, /--limit expects an integer from 1 to 100/);
+    }
+    assert.equal((await cli(["search", "lambda", "--locale", "ko_KR", "--limit", "100"])).code, 0);
+    assert.equal((await cli(["search", "lambda", "--offset", "-1"])).code, 2);
+  });
+
+  it("should summarize a loaded estimate with totals", async (t) => {
+    serve(t, {
+      "/abc123": {
+        name: "CI estimate",
+        services: { "s3-1": { serviceName: "Amazon S3", serviceCode: "amazonS3", region: "us-east-1", serviceCost: { monthly: 12.5, upfront: 0 } } },
+        groups: { "group-1": { name: "Storage", services: ["s3-1"] } },
+        metaData: { currency: "USD" },
+      },
+    });
+    const { code, stdout } = await cli(["load", "https://calculator.aws/#/estimate?id=abc123"]);
+    assert.equal(code, 0);
+    assert.match(stdout, /Storage\s+Amazon S3\s+us-east-1\s+\$12\.50\s+\$0\.00/);
+    assert.match(stdout, /Monthly: \$12\.50 \| Upfront: \$0\.00 \| 12-month: \$150\.00/);
+  });
+
+  it("should exit 1 when the operation fails and 2 for malformed --input", async (t) => {
+    serve(t, {});
+    const failed = await cli(["load", "missing"]);
+    assert.equal(failed.code, 1);
+    assert.match(failed.stderr, /^Error: Failed to load estimate 'missing'/);
+    const malformed = await cli(["price", "aWSLambda", "--input", "noEquals"]);
+    assert.equal(malformed.code, 2);
+  });
+});
+
+describe("compareRegions", () => {
+  const def = {
+    serviceCode: "regionDemo",
+    serviceName: "Region Demo",
+    mappingDefinitions: [{ mappingDefinitionName: "regionPricing", mappingDefinitionURL: "pricing/2.0/meteredUnitMaps/regionDemo/[currency]/current/regionDemo.json" }],
+    templates: [{
+      id: "template_0",
+      cards: [{
+        inputSection: {
+          components: [
+            { id: "qty", type: "numericInput", defaultValue: 1 },
+            { id: "unitPrice", type: "pricing", subType: "singlePricePoint", mappingDefinitionName: "regionPricing", meteredUnit: { allRegions: "Unit" } },
+          ],
+        },
+        mathsSection: [{
+          components: [
+            { id: "subtotal", subType: "basicMaths", operation: "multiplication", operands: [{ variableId: "qty" }, { variableId: "unitPrice" }] },
+            { subType: "priceDisplay", subTotalRefer: "subtotal", costType: "Monthly" },
+          ],
+        }],
+      }],
+    }],
+  };
+
+  function serve(t) {
+    configureDiskCache({ enabled: false });
+    t.mock.method(globalThis, "fetch", async (url) => {
+      if (url.includes("/manifest/pt_BR.json")) {
+        return new Response(JSON.stringify({ awsServices: [{ name: "Region Demo", serviceCode: "regionDemo", regions: ["us-east-1", "eu-west-1", "us-west-2"] }] }));
+      }
+      if (url.includes("/data/regionDemo/")) return new Response(JSON.stringify(def));
+      return new Response(JSON.stringify({ regions: { "US East (N. Virginia)": { Unit: { price: "3" } }, "EU (Ireland)": { Unit: { price: "2" } } } }));
+    });
+  }
+
+  it("should rank regions by cost and flag unavailable services and empty pricing", async (t) => {
+    serve(t);
+    const comparison = await compareRegions({
+      services: [{ serviceCode: "regionDemo", serviceName: "Region Demo", inputs: { qty: 10 } }],
+      regions: ["us-east-1", "ap-south-1", "us-west-2", "eu-west-1"],
+      locale: "pt_BR",
+    });
+    assert.deepEqual(comparison.regions.map((r) => [r.rank, r.region, r.monthly, r.complete]), [
+      [1, "eu-west-1", 20, true],
+      [2, "us-east-1", 30, true],
+      [3, "ap-south-1", 0, false],
+      [4, "us-west-2", 0, false],
+    ]);
+    assert.equal(comparison.regions[0].twelveMonth, 240);
+    assert.deepEqual(comparison.regions[2].unavailable, ["Region Demo"]);
+    assert.deepEqual(comparison.regions[3].missingPricing, ["Region Demo"]);
+    assert.match(comparison.regions[3].warnings[0], /No pricing data found in US West \(Oregon\) for: regionPricing/);
+  });
+
+  it("should reject unknown region codes", async () => {
+    await assert.rejects(compareRegions({ services: [], regions: ["us-east-1", "mars-1"] }), /Unknown region\(s\): mars-1/);
+  });
+});
+
+describe("itemized cost breakdown", () => {
+  const def = {
+    serviceCode: "lambdaDemo",
+    templates: [{
+      id: "template_0",
+      cards: [{
+        title: "Lambda",
+        inputSection: {
+          components: [
+            { id: "requests", type: "numericInput", defaultValue: 10000000 },
+            { id: "gbSeconds", type: "numericInput", defaultValue: 1000000 },
+            { id: "putRequests", label: "PUT requests", subType: "numericInput", defaultValue: 2000 },
+            { id: "requestPrice", type: "pricing", subType: "singlePricePoint", mappingDefinitionName: "demo", meteredUnit: { allRegions: "Requests" } },
+            { id: "durationPrice", type: "pricing", subType: "singlePricePoint", mappingDefinitionName: "demo", meteredUnit: { allRegions: "Duration" } },
+          ],
+        },
+        mathsSection: [{
+          components: [
+            { id: "requestCost", subType: "basicMaths", operation: "multiplication", operands: [{ variableId: "requests" }, { variableId: "requestPrice" }] },
+            { id: "durationCost", subType: "basicMaths", operation: "multiplication", operands: [{ variableId: "gbSeconds" }, { variableId: "durationPrice" }] },
+            { id: "totalCost", subType: "basicMaths", operation: "addition", operands: [{ variableId: "requestCost" }, { variableId: "durationCost" }] },
+            { subType: "priceDisplay", subTotalRefer: "totalCost", costType: "Monthly" },
+          ],
+        }],
+      }],
+    }],
+  };
+  const pricingByDef = { demo: { Requests: 0.0000002, Duration: 0.0000166667, "PUT/COPY/POST requests": 0.000005 } };
+
+  it("should split additions into priced lines and include auto request costs", async () => {
+    const result = await calculateServiceCostFromDefinition(def, "us-east-1", {}, "template_0", pricingByDef);
+    const [requests, duration, put] = result.breakdown;
+    assert.equal(result.breakdown.length, 3);
+    assert.deepEqual(requests, { card: "Lambda", label: "Request cost", costType: "Monthly", quantity: 10000000, unitPrice: 0.0000002, subtotal: 10000000 * 0.0000002 });
+    assert.equal(duration.label, "Duration cost");
+    assert.equal(duration.quantity, 1000000);
+    assert.equal(duration.unitPrice, 0.0000166667);
+    assert.deepEqual(put, { card: null, label: "PUT requests", costType: "Monthly", quantity: 2000, unitPrice: 0.000005, subtotal: 2000 * 0.000005 });
+    const itemized = result.breakdown.reduce((sum, line) => sum + line.subtotal, 0);
+    assert.ok(Math.abs(itemized - result.monthly) < 1e-9);
+  });
+
+  it("should format breakdown lines with quantity, unit price and subtotal", () => {
+    assert.equal(
+      formatBreakdownLine({ label: "Request cost", costType: "Monthly", quantity: 9000000, unitPrice: 0.0000002, subtotal: 1.8 }),
+      "Request cost: 9,000,000 × $0.0000002 = $1.80/mo",
+    );
+    assert.equal(formatBreakdownLine({ service: "S3 Standard", label: "Storage", costType: "Upfront", quantity: null, unitPrice: null, subtotal: 12 }, "EUR"), "S3 Standard › Storage: €12.00 upfront");
+  });
+});
+
+describe("explain mode", () => {
+  const def = {
+    serviceCode: "traceDemo",
+    mappingDefinitions: [{ mappingDefinitionName: "tracePricing", mappingDefinitionURL: "pricing/2.0/meteredUnitMaps/traceDemo/[currency]/current/traceDemo.json" }],
+    templates: [{
+      id: "template_0",
+      cards: [{
+        title: "Storage",
+        inputSection: {
+          components: [
+            { id: "tier", subType: "dropdown", defaultValue: "standard", options: [{ label: "Standard", value: "standard" }, { label: "Premium", value: "premium" }] },
+            { id: "storage", subType: "fileSize", unit: "GB" },
+            { id: "storagePrice", type: "pricing", subType: "tieredPricing", mappingDefinitionName: "tracePricing",
+              tiers: { allRegions: [{ startOfTier: 0, endOfTier: 50, meteredUnit: "Tier1" }, { startOfTier: 50, endOfTier: -1, meteredUnit: "Tier2" }] } },
+          ],
+        },
+        mathsSection: [{
+          components: [
+            { id: "roundedGB", subType: "rounding", method: "roundUp", factor: 1, operands: [{ variableId: "storage" }] },
+            { id: "storageCost", subType: "tieredPricingMath", inputRefer: "roundedGB", tieredPricingRefer: "storagePrice" },
+            { subType: "priceDisplay", subTotalRefer: "storageCost", costType: "Monthly" },
+          ],
+        }],
+      }, {
+        title: "Premium support",
+        displayIf: { "==": [{ type: "component", id: "tier" }, "premium"] },
+        mathsSection: [{ components: [{ subType: "priceDisplay", subTotalRefer: "storageCost", costType: "Monthly" }] }],
+      }],
+    }],
+  };
+
+  it("should trace inputs, displayIf checks, price lookups and maths steps in order", async (t) => {
+    configureDiskCache({ enabled: false });
+    t.mock.method(globalThis, "fetch", async (url) => new Response(JSON.stringify(url.includes("/data/traceDemo/")
+      ? def
+      : { regions: { "US East (N. Virginia)": { Tier1: { price: "0.1" }, Tier2: { price: "0.05" } } } })));
+
+    const result = await calculateServiceCost("traceDemo", "us-east-1", { storage: { value: 0.1, unit: "TB" } }, "template_0", { explain: true });
+    assert.ok(Math.abs(result.monthly - (50 * 0.1 + 53 * 0.05)) < 1e-9);
+    const steps = result.trace.map((e) => `${e.step}:${e.id || e.target || e.serviceCode || e.subTotalRefer}`);
+    assert.deepEqual(steps, [
+      "definition:traceDemo",
+      "input:tier",
+      "input:storage",
+      "price:storagePrice",
+      "maths:roundedGB",
+      "maths:storageCost",
+      "priceDisplay:storageCost",
+      "displayIf:card Premium support",
+    ]);
+    const [, , storage, price, rounding, tiered, , displayIf] = result.trace;
+    assert.deepEqual(storage, { step: "input", id: "storage", subType: "fileSize", raw: { value: 0.1, unit: "TB" }, normalized: 102.4 });
+    assert.deepEqual(price.tiers.map((tier) => tier.price), [0.1, 0.05]);
+    assert.deepEqual(rounding.operands, [{ ref: "storage", value: 102.4 }]);
+    assert.equal(rounding.result, 103);
+    assert.deepEqual(tiered.tiers.map((tier) => tier.quantity), [50, 53]);
+    assert.equal(displayIf.passed, false);
+  });
+
+  it("should omit the trace unless explain is set", async (t) => {
+    configureDiskCache({ enabled: false });
+    t.mock.method(globalThis, "fetch", async (url) => new Response(JSON.stringify(url.includes("/data/traceDemo/") ? def : { regions: {} })));
+    const result = await calculateServiceCost("traceDemo", "us-east-1", {}, "template_0");
+    assert.equal(result.trace, undefined);
+  });
+});
+
+describe("validateInputs", () => {
+  const inputs = [
+    { id: "storageClass", label: "Storage class", type: "dropdown", options: [{ label: "S3 Standard", value: "s3Standard" }, { label: "S3 Glacier", value: "s3Glacier" }] },
+    { id: "storageSize", label: "Storage", type: "fileSize", unit: "GB", defaultUnit: "GB" },
+    { id: "requests", label: "Requests", type: "frequency", unitOptions: [{ label: "per month", value: "perMonth" }], defaultUnit: "perMonth" },
+    { id: "duration", label: "Duration", type: "durationInput", defaultUnit: "hr" },
+    {
+      id: "pricingStrategy", type: "pricingStrategy",
+      radioGroups: [
+        { key: "model", options: [{ value: "ondemand" }, { value: "instanceSavings" }] },
+        { key: "term", options: [{ value: "1yr" }, { value: "3yr" }] },
+      ],
+    },
+  ];
+
+  it("should accept valid values, option labels and known units", () => {
+    assert.deepEqual(validateInputs(inputs, {
+      storageClass: "S3 Standard",
+      storageSize: { value: 2, unit: "TB" },
+      requests: { value: "1000", unit: "per month" },
+      duration: { value: 3, unit: "day" },
+      pricingStrategy: { model: "instanceSavings", term: "3yr" },
+    }), []);
+  });
+
+  it("should report unknown fields and invalid options with closest matches", () => {
+    const issues = validateInputs(inputs, { storageClas: "s3Standard", storageClass: "s3Standrd" });
+    assert.deepEqual(issues.map((i) => [i.field, i.code, i.suggestions]), [
+      ["storageClas", "unknownField", ["storageClass", "Storage class"]],
+      ["storageClass", "invalidOption", ["s3Standard", "S3 Standard"]],
+    ]);
+  });
+
+  it("should report wrong units and non-numeric values", () => {
+    const issues = validateInputs(inputs, { storageSize: { value: "lots", unit: "GiB" }, duration: { value: 1, unit: "GB" } });
+    assert.deepEqual(issues.map((i) => [i.field, i.code]), [
+      ["storageSize", "notNumeric"],
+      ["storageSize", "invalidUnit"],
+      ["duration", "invalidUnit"],
+    ]);
+    assert.deepEqual(issues[1].suggestions, ["GB"]);
+  });
+
+  it("should report malformed pricingStrategy objects", () => {
+    assert.equal(validateInputs(inputs, { pricingStrategy: "ondemand" })[0].code, "invalidPricingStrategy");
+    const issues = validateInputs(inputs, { pricingStrategy: { model: "instanceSaving", payment: "AllUpfront" } });
+    assert.deepEqual(issues.map((i) => i.message), [
+      "'instanceSaving' is not a valid model (expected one of: ondemand, instanceSavings)",
+      "Unknown pricingStrategy key 'payment' (expected one of: model, term)",
+    ]);
+    assert.deepEqual(issues[0].suggestions, ["instanceSavings"]);
+  });
+
+  it("should stop update_estimate before anything is changed", async (t) => {
+    configureDiskCache({ enabled: false });
+    const def = { serviceName: "Demo", templates: [{ id: "t0", cards: [{ inputSection: { components: [{ id: "size", subType: "numericInput" }] } }] }] };
+    t.mock.method(globalThis, "fetch", async () => new Response(JSON.stringify(def)));
+    const data = { name: "Demo", services: { "demo-1": { serviceCode: "validateDemo", serviceName: "Demo", region: "us-east-1", calculationComponents: {}, serviceCost: { monthly: 1, upfront: 0 } } }, groups: {} };
+    await assert.rejects(
+      applyEstimateUpdate(data, { modify: [{ service: "demo-1", calculationComponents: { size: "big", colour: "red" } }] }),
+      /nothing was saved[\s\S]*Demo: size: Expected a number, got "big"[\s\S]*Demo: colour: Unknown field 'colour'/,
+    );
+  });
+});
+
+describe("per-service input schemas", () => {
+  const inputs = [
+    { id: "architecture", label: "Architecture", type: "dropdown", options: [{ label: "x86", value: "x86" }, { label: "Arm", value: "arm64" }] },
+    { id: "storage", label: "Ephemeral storage", type: "fileSize", unitOptions: [{ label: "GB", value: "gb" }], defaultUnit: "gb" },
+    { id: "count", label: "Functions", type: "numericInput" },
+    { id: "pricingStrategy", type: "pricingStrategy", radioGroups: [{ key: "model", label: "Model", options: [{ value: "ondemand" }, { value: "computeSavings" }] }] },
+  ];
+
+  it("should describe option enums, unit enums and pricingStrategy shapes as JSON Schema", () => {
+    const schema = inputsToJsonSchema(inputs);
+    assert.equal(schema.type, "object");
+    assert.equal(schema.additionalProperties, false);
+    assert.deepEqual(schema.properties.architecture.anyOf[0], { type: "string", enum: ["x86", "arm64"] });
+    assert.equal(schema.properties.architecture.description, "Architecture");
+    const storageObject = schema.properties.storage.anyOf[1];
+    assert.deepEqual(storageObject.required, ["value"]);
+    assert.deepEqual(storageObject.properties.unit.enum, ["gb", "GB", "KB", "MB", "TB"]);
+    assert.deepEqual(schema.properties.pricingStrategy.anyOf[0], {
+      type: "object",
+      properties: { model: { type: "string", enum: ["ondemand", "computeSavings"], description: "Model" } },
+      additionalProperties: false,
+    });
+  });
+
+  it("should accept the same payloads with the zod schema and reject invalid ones", () => {
+    const schema = inputsToZodSchema(inputs);
+    assert.ok(schema.safeParse({
+      architecture: "Arm",
+      storage: { value: 10, unit: "GB" },
+      count: "3",
+      pricingStrategy: { model: "computeSavings" },
+    }).success);
+    assert.ok(schema.safeParse({ architecture: { value: "x86" }, storage: 512 }).success);
+    for (const invalid of [
+      { architecture: "sparc" },
+      { storage: { value: 1, unit: "PB" } },
+      { count: "many" },
+      { pricingStrategy: { model: "spot" } },
+      { colour: "red" },
+    ]) {
+      assert.equal(schema.safeParse(invalid).success, false, JSON.stringify(invalid));
+    }
+  });
+});
+
+describe("search ranking", () => {
+  const manifest = {
+    awsServices: [
+      { name: "Amazon EC2 Dedicated Hosts", serviceCode: "ec2DedicatedHosts", regions: ["us-east-1"] },
+      { name: "Amazon EC2", serviceCode: "eC2Next", regions: ["us-east-1", "eu-west-1"], searchKeywords: ["compute", "virtual machine"] },
+      { name: "Amazon CloudFront", serviceCode: "amazonCloudFront", regions: ["us-east-1"], searchKeywords: ["cdn"] },
+      { name: "Amazon RDS for PostgreSQL", serviceCode: "amazonRDSPostgreSQLDB", regions: ["us-east-1"] },
+      { name: "Amazon Aurora PostgreSQL-Compatible DB", serviceCode: "amazonAuroraPostgreSQLCompatibleDB", regions: ["us-east-1"] },
+      { name: "Elastic Load Balancing", serviceCode: "elasticLoadBalancing", regions: ["us-east-1"] },
+      { name: "Amazon Elastic Kubernetes Service", serviceCode: "amazonEKS", regions: ["us-east-1"] },
+      { name: "AWS Lambda", serviceCode: "aWSLambda", regions: ["us-east-1"] },
+    ],
+  };
+
+  function serveManifest(t) {
+    configureDiskCache({ enabled: false });
+    configureHttp({ retries: 0 });
+    t.after(() => configureHttp({ retries: 3 }));
+    t.mock.method(globalThis, "fetch", async (url) =>
+      url.includes("/manifest/zh_TW.json")
+        ? new Response(JSON.stringify(manifest), { status: 200 })
+        : new Response("not found", { status: 404 }));
+  }
+
+  it("should rank the exact service above partial matches", async (t) => {
+    serveManifest(t);
+    const { results } = await searchServices("ec2", "zh_TW");
+    assert.equal(results[0].serviceCode, "eC2Next");
+    assert.equal(results[0].score, 100);
+    assert.equal(results[1].serviceCode, "ec2DedicatedHosts");
+    assert.ok(results[1].score < 100);
+  });
+
+  it("should tolerate typos", async (t) => {
+    serveManifest(t);
+    const { results } = await searchServices("cloudfrnt", "zh_TW");
+    assert.equal(results[0].serviceCode, "amazonCloudFront");
+    assert.ok(results[0].score > 0);
+  });
+
+  it("should expand aliases and acronyms", async (t) => {
+    serveManifest(t);
+    assert.equal((await searchServices("ELB", "zh_TW")).results[0].serviceCode, "elasticLoadBalancing");
+    assert.equal((await searchServices("EKS", "zh_TW")).results[0].serviceCode, "amazonEKS");
+    assert.equal((await searchServices("cdn", "zh_TW")).results[0].serviceCode, "amazonCloudFront");
+    assert.equal((await searchServices("Aurora Postgres", "zh_TW")).results[0].serviceCode, "amazonAuroraPostgreSQLCompatibleDB");
+    const postgres = (await searchServices("postgres", "zh_TW")).results.map((r) => r.serviceCode);
+    assert.deepEqual(postgres.sort(), ["amazonAuroraPostgreSQLCompatibleDB", "amazonRDSPostgreSQLDB"]);
+  });
+
+  it("should paginate and report the total number of matches", async (t) => {
+    serveManifest(t);
+    const first = await searchServices("amazon", "zh_TW", { limit: 2 });
+    assert.equal(first.total, 6);
+    assert.equal(first.results.length, 2);
+    const rest = await searchServices("amazon", "zh_TW", { limit: 10, offset: 2 });
+    assert.equal(rest.offset, 2);
+    assert.equal(rest.results.length, 4);
+    const codes = [...first.results, ...rest.results].map((r) => r.serviceCode);
+    assert.equal(new Set(codes).size, 6);
+  });
+
+  it("should return nothing for unrelated queries", async (t) => {
+    serveManifest(t);
+    assert.deepEqual(await searchServices("zzzz", "zh_TW"), { total: 0, offset: 0, limit: 15, results: [] });
+  });
+});
+
+describe("region-aware discovery", () => {
+  const def = {
+    serviceCode: "regionAware",
+    serviceName: "Region Aware",
+    mappingDefinitions: [{ mappingDefinitionName: "awarePricing", mappingDefinitionURL: "pricing/2.0/meteredUnitMaps/regionAware/[currency]/current/regionAware.json" }],
+    templates: [{
+      id: "template_0",
+      cards: [{
+        inputSection: {
+          components: [
+            { id: "qty", type: "numericInput", defaultValue: 1 },
+            { id: "unitPrice", type: "pricing", subType: "singlePricePoint", mappingDefinitionName: "awarePricing", meteredUnit: { allRegions: "Unit" } },
+          ],
+        },
+        mathsSection: [{
+          components: [
+            { id: "subtotal", subType: "basicMaths", operation: "multiplication", operands: [{ variableId: "qty" }, { variableId: "unitPrice" }] },
+            { subType: "priceDisplay", subTotalRefer: "subtotal", costType: "Monthly" },
+          ],
+        }],
+      }],
+    }],
+  };
+  const manifest = {
+    regionNames: { "xx-new-1": "Newland (Central)" },
+    awsServices: [
+      { name: "Region Aware", serviceCode: "regionAware", regions: ["us-east-1", "xx-new-1"] },
+      { name: "Region Aware Archive", serviceCode: "regionAwareArchive", regions: ["us-east-1", "eu-west-1", "zz-new-2"] },
+    ],
+  };
+
+  function serve(t) {
+    configureDiskCache({ enabled: false });
+    configureHttp({ retries: 0 });
+    t.after(() => configureHttp({ retries: 3 }));
+    t.mock.method(globalThis, "fetch", async (url) => {
+      if (url.includes("/manifest/id_ID.json")) return new Response(JSON.stringify(manifest));
+      if (url.includes("/data/regionAware/")) return new Response(JSON.stringify(def));
+      if (url.includes("/regionAware.json")) {
+        return new Response(JSON.stringify({ regions: { "US East (N. Virginia)": { Unit: { price: "3" } }, "Newland (Central)": { Unit: { price: "5" } } } }));
+      }
+      return new Response("not found", { status: 404 });
+    });
+  }
+
+  it("should list regions from the manifest with REGION_NAMES as a fallback", async (t) => {
+    serve(t);
+    const regions = await listRegions("id_ID");
+    const byCode = Object.fromEntries(regions.map((r) => [r.code, r]));
+    assert.deepEqual(byCode["xx-new-1"], { code: "xx-new-1", name: "Newland (Central)", services: 1 });
+    assert.deepEqual(byCode["zz-new-2"], { code: "zz-new-2", name: "zz-new-2", services: 1 });
+    assert.deepEqual(byCode["us-east-1"], { code: "us-east-1", name: "US East (N. Virginia)", services: 2 });
+    assert.deepEqual(byCode["ap-east-2"], { code: "ap-east-2", name: "Asia Pacific (Taipei)", services: 0 });
+    assert.deepEqual((await listRegions("id_ID", "regionAware")).map((r) => r.code), ["us-east-1", "xx-new-1"]);
+    await assert.rejects(listRegions("id_ID", "noSuchService"), /no region list for noSuchService/);
+  });
+
+  it("should filter search results by region", async (t) => {
+    serve(t);
+    assert.equal((await searchServices("region aware", "id_ID")).total, 2);
+    const inEurope = await searchServices("region aware", "id_ID", { region: "eu-west-1" });
+    assert.deepEqual(inEurope.results.map((r) => r.serviceCode), ["regionAwareArchive"]);
+  });
+
+  it("should price manifest-only regions under their manifest name", async (t) => {
+    serve(t);
+    const result = await calculateServiceCost("regionAware", "xx-new-1", { qty: 2 }, null, { locale: "id_ID" });
+    assert.equal(result.monthly, 10);
+  });
+
+  it("should reject pricing a service in a region it isn't offered in", async (t) => {
+    serve(t);
+    let stderr = "";
+    const code = await runCli(["price", "regionAware", "--region", "eu-west-1", "--locale", "id_ID"], {
+      stdout: { write: () => {} },
+      stderr: { write: (text) => { stderr += text; } },
+    });
+    assert.equal(code, 1);
+    assert.match(stderr, /regionAware is not offered in eu-west-1/);
+
+    const data = { name: "Demo", metaData: { locale: "id_ID" }, services: {}, groups: {} };
+    await assert.rejects(
+      applyEstimateUpdate(data, { add: [{ serviceCode: "regionAware", serviceName: "Region Aware", region: "eu-west-1", calculationComponents: { qty: 1 } }] }),
+      /nothing was saved[\s\S]*Region Aware: regionAware is not offered in eu-west-1 \(EU \(Ireland\)\)\. Available in: us-east-1, xx-new-1/,
+    );
+    await assert.rejects(
+      applyEstimateUpdate(data, { add: [{ serviceCode: "regionAware", serviceName: "Region Aware", region: "us-east-l" }] }),
+      /Unknown region 'us-east-l'\. Did you mean: us-east-1/,
+    );
+  });
+
+  it("should reject regions the manifest lists without a display name instead of pricing them at zero", async (t) => {
+    serve(t);
+    const data = { name: "Demo", metaData: { locale: "id_ID" }, services: {}, groups: {} };
+    await assert.rejects(
+      applyEstimateUpdate(data, { add: [{ serviceCode: "regionAwareArchive", serviceName: "Archive", region: "zz-new-2" }] }),
+      /Archive: Region 'zz-new-2' has no display name in the calculator manifest yet/,
+    );
+
+    const comparison = await compareRegions({ services: [{ serviceCode: "regionAware", inputs: { qty: 1 } }], regions: ["us-east-1", "zz-new-2"], locale: "id_ID" });
+    const unnamed = comparison.regions.find((r) => r.region === "zz-new-2");
+    assert.equal(unnamed.complete, false);
+    assert.deepEqual(unnamed.missingPricing, ["regionAware"]);
+    assert.match(unnamed.warnings[0], /zz-new-2 has no display name/);
+    assert.equal(comparison.regions[0].region, "us-east-1");
+  });
+});
+
+describe("EC2 pricing strategies", () => {
+  const def = {
+    serviceCode: "ec2StrategyDemo",
+    templates: [{
+      id: "template_0",
+      cards: [{
+        inputSection: {
+          components: [
+            { id: "instanceType", type: "textInput", defaultValue: "m5.large" },
+            { id: "selectedOS", type: "textInput", defaultValue: "Linux" },
+            { id: "instances", type: "numericInput", defaultValue: 2 },
+            {
+              id: "pricingStrategy", label: "Pricing strategy", subType: "pricingStrategy",
+              radioGroups: [
+                { value: "model", defaultOption: "ondemand", options: [{ value: "ondemand" }, { value: "computeSavings" }, { value: "instanceSavings" }, { value: "reserved" }, { value: "convertibleReserved" }] },
+                { value: "term", defaultOption: "1yr", options: [{ value: "1yr" }, { value: "3yr" }] },
+                { value: "options", defaultOption: "NoUpfront", options: [{ value: "NoUpfront" }, { value: "PartialUpfront" }, { value: "AllUpfront" }] },
+              ],
+            },
+            { subType: "ec2PriceFetcher" },
+            { id: "hourlyRate", subType: "priceSelector", pricing: { generatePriceFor: ["ondemand", "computeSavings", "instanceSavings", "reserved", "convertibleReserved"] } },
+          ],
+        },
+        mathsSection: [{
+          components: [
+            { id: "hours", subType: "basicMaths", operation: "multiplication", operands: [{ variableId: "instances" }, { constant: 730 }] },
+            { id: "subtotal", subType: "basicMaths", operation: "multiplication", operands: [{ variableId: "hours" }, { variableId: "hourlyRate" }] },
+            { subType: "priceDisplay", subTotalRefer: "subtotal", costType: "Monthly" },
+          ],
+        }],
+      }],
+    }],
+  };
+  const ec2 = {
+    "OnDemand Linux-instancetype-m5.large": 0.1,
+    "ComputeSavingsPlans Linux-instancetype-m5.large-1yr-NoUpfront": 0.07,
+    "ComputeSavingsPlans Linux-instancetype-m5.large-3yr-PartialUpfront": 0.025,
+    "ComputeSavingsPlans Linux-instancetype-m5.large-3yr-PartialUpfront-upfront": 657,
+    "ComputeSavingsPlans Linux-instancetype-m5.large-1yr-PartialUpfront": 0.035,
+    "InstanceSavingsPlans Linux-instancetype-m5.large-1yr-AllUpfront-upfront": 525.6,
+    "Reserved Linux-instancetype-m5.large-1yr-PartialUpfront": 0.03,
+    "Reserved Linux-instancetype-m5.large-1yr-PartialUpfront-upfront": 300,
+    "Reserved Linux-instancetype-m5.large-3yr-AllUpfront-upfront": 1500,
+    "ConvertibleReserved Linux-instancetype-m5.large-3yr-NoUpfront": 0.045,
+  };
+  const cents = (n) => Math.round(n * 100) / 100;
+
+  async function price(pricingStrategy, definition = def, inputs = {}) {
+    const result = await calculateServiceCostFromDefinition(definition, "us-east-1", { pricingStrategy, ...inputs }, "template_0", { __ec2: ec2 });
+    return { monthly: cents(result.monthly), upfront: cents(result.upfront), breakdown: result.breakdown, warnings: result.warnings };
+  }
+
+  it("should price on-demand and No Upfront commitments as monthly cost only", async () => {
+    assert.deepEqual((await price({ model: "ondemand" })).monthly, 146);
+    const savings = await price({ model: "computeSavings", term: "1yr", options: "NoUpfront" });
+    assert.deepEqual([savings.monthly, savings.upfront], [102.2, 0]);
+    const convertible = await price({ model: "convertibleReserved", term: "3yr", options: "NoUpfront" });
+    assert.deepEqual([convertible.monthly, convertible.upfront], [65.7, 0]);
+  });
+
+  it("should charge Savings Plans with the upfront fee published in the pricing data", async () => {
+    const partial = await price({ model: "computeSavings", term: "3yr", options: "PartialUpfront" });
+    assert.deepEqual([partial.monthly, partial.upfront], [36.5, 1314]);
+    const all = await price({ model: "instanceSavings", term: "1yr", options: "AllUpfront" });
+    assert.deepEqual([all.monthly, all.upfront], [0, 1051.2]);
+  });
+
+  it("should not guess the upfront share when the pricing data has no fee", async () => {
+    const partial = await price({ model: "computeSavings", term: "1yr", options: "PartialUpfront" });
+    assert.deepEqual([partial.monthly, partial.upfront], [51.1, 0]);
+    assert.deepEqual(partial.warnings, [
+      'No pricing in US East (N. Virginia) for EC2 price "ComputeSavingsPlans Linux-instancetype-m5.large-1yr-PartialUpfront-upfront"; it is not included in the cost',
+    ]);
+  });
+
+  it("should charge Reserved Instance fees upfront and hourly rates monthly", async () => {
+    const partial = await price({ model: "reserved", term: "1yr", options: "PartialUpfront" });
+    assert.deepEqual([partial.monthly, partial.upfront], [43.8, 600]);
+    const line = partial.breakdown.find((l) => l.costType === "Upfront");
+    assert.equal(line.label, "Pricing strategy upfront payment (1-year term)");
+    assert.equal(cents(line.subtotal), 600);
+    const all = await price({ model: "reserved", term: "3yr", options: "AllUpfront" });
+    assert.deepEqual([all.monthly, all.upfront], [0, 3000]);
+  });
+
+  it("should price strategies missing from the pricing data at 0 with a warning", async () => {
+    const missing = await price({ model: "instanceSavings", term: "3yr", options: "NoUpfront" });
+    assert.deepEqual([missing.monthly, missing.upfront], [0, 0]);
+    assert.match(missing.warnings.join("\n"), /InstanceSavingsPlans Linux-instancetype-m5\.large-3yr-NoUpfront"; it is not included/);
+  });
+
+  // Same card layout as the calculator's EC2 definition: an instance card priced per hour, an EBS card
+  // priced per GB-month and a card with a one-time charge. Only the instance card uses the commitment.
+  const multiCard = {
+    ...def,
+    templates: [{
+      id: "template_0",
+      cards: [
+        def.templates[0].cards[0],
+        {
+          inputSection: {
+            components: [
+              { id: "storageGB", type: "numericInput", defaultValue: 100 },
+              { id: "ebsPrice", type: "pricing", subType: "singlePricePoint", mappingDefinitionName: "ebs", meteredUnit: { allRegions: "gp3" } },
+            ],
+          },
+          mathsSection: [{
+            components: [
+              { id: "storage", subType: "basicMaths", operation: "multiplication", operands: [{ variableId: "storageGB" }, { variableId: "ebsPrice" }] },
+              { subType: "priceDisplay", subTotalRefer: "storage", costType: "Monthly" },
+            ],
+          }],
+        },
+        {
+          inputSection: { components: [{ id: "setupFee", type: "numericInput", defaultValue: 50 }] },
+          mathsSection: [{
+            components: [
+              { id: "setup", subType: "basicMaths", operation: "multiplication", operands: [{ variableId: "setupFee" }, { variableId: "instances" }] },
+              { subType: "priceDisplay", subTotalRefer: "setup", costType: "Upfront" },
+            ],
+          }],
+        },
+      ],
+    }],
+  };
+
+  it("should bill the commitment fee once per term across a multi-card definition", async () => {
+    const result = await calculateServiceCostFromDefinition(multiCard, "us-east-1", { pricingStrategy: { model: "reserved", term: "1yr", options: "PartialUpfront" } }, "template_0", { __ec2: ec2, ebs: { gp3: 0.08 } });
+    // Monthly: 2 × 730 h × $0.03 + 100 GB × $0.08; upfront: 2 × $300 fee + the 2 × $50 one-time charge
+    assert.equal(cents(result.monthly), 43.8 + 8);
+    assert.equal(cents(result.upfront), 600 + 100);
+    const commitment = result.breakdown.find((l) => l.label === "Pricing strategy upfront payment (1-year term)");
+    assert.equal(cents(commitment.subtotal), 600);
+  });
+});
+
+describe("columnFormIPM reserved terms", () => {
+  function ipmDef(calcName) {
+    return {
+      serviceCode: "ipmDemo",
+      templates: [{
+        id: "template_0",
+        cards: [{
+          inputSection: {
+            components: [
+              { id: "instances", type: "columnFormIPM", subType: "columnFormIPM", mappingDefinitionName: calcName, calculationId: { monthly: "instanceMonthly", upfront: "instanceUpfront" } },
+            ],
+          },
+          mathsSection: [{
+            components: [
+              { subType: "priceDisplay", subTotalRefer: "instanceMonthly", costType: "Monthly" },
+              { subType: "priceDisplay", subTotalRefer: "instanceUpfront", costType: "Upfront" },
+            ],
+          }],
+        }],
+      }],
+    };
+  }
+  const rds = {
+    "rds-demo-ondemand": { "db r5.large Single-AZ": 0.25, "db r5.large Multi-AZ": 0.5 },
+    "rds-demo-reservedinstance": {
+      "db r5.large Single-AZ 1yr No Upfront Hrs": 0.15,
+      "db r5.large Single-AZ 1yr All Upfront Upfront Fee": 1200,
+      "db r5.large Multi-AZ 3yr Partial Upfront Hrs": 0.2,
+      "db r5.large Multi-AZ 3yr Partial Upfront Upfront Fee": 5000,
+      "db r5.large Multi-AZ (readable standbys) 3yr Partial Upfront Hrs": 0.3,
+      "db r5.large Multi-AZ (readable standbys) 3yr Partial Upfront Upfront Fee": 7000,
+    },
+  };
+  const cents = (n) => Math.round(n * 100) / 100;
+
+  async function price(pricingByDef, calcName, row) {
+    const result = await calculateServiceCostFromDefinition(ipmDef(calcName), "us-east-1", { instances: row }, "template_0", pricingByDef);
+    return [cents(result.monthly), cents(result.upfront)];
+  }
+
+  it("should keep on-demand pricing monthly and respect Multi-AZ and node counts", async () => {
+    const row = { "Instance Type": "db.r5.large", "Deployment Option": "Multi-AZ", TermType: "OnDemand", "Number of Nodes": 2 };
+    assert.deepEqual(await price(rds, "rds-demo-calc", row), [730, 0]);
+  });
+
+  it("should charge reserved upfront fees upfront and hourly fees monthly", async () => {
+    const base = { "Instance Type": "db.r5.large", TermType: "Reserved" };
+    assert.deepEqual(await price(rds, "rds-demo-calc", { ...base, LeaseContractLength: "1yr", PurchaseOption: "No Upfront" }), [109.5, 0]);
+    assert.deepEqual(await price(rds, "rds-demo-calc", { ...base, LeaseContractLength: "1yr", PurchaseOption: "All Upfront" }), [0, 1200]);
+    assert.deepEqual(
+      await price(rds, "rds-demo-calc", { ...base, "Deployment Option": "Multi-AZ", LeaseContractLength: "3yr", PurchaseOption: "Partial Upfront", "Number of Nodes": 2 }),
+      [292, 10000],
+    );
+  });
+
+  it("should read the lease and purchase option from a combined TermType", async () => {
+    const row = { "Instance Type": "db.r5.large", "Deployment Option": "Multi-AZ", TermType: "Reserved 3yr Partial Upfront" };
+    assert.deepEqual(await price(rds, "rds-demo-calc", row), [146, 5000]);
+  });
+
+  it("should match engines whose keys don't name a deployment option", async () => {
+    const cache = { "elasticache-demo-reserved": { "cache r6g.large 1yr All Upfront Upfront Fee": 1000, "cache r6g.large 1yr Partial Upfront Hrs": 0.05, "cache r6g.large 1yr Partial Upfront Upfront Fee": 450 } };
+    const row = { "Instance Type": "cache.r6g.large", TermType: "Reserved", LeaseContractLength: "1yr", "Number of Nodes": 3 };
+    assert.deepEqual(await price(cache, "elasticache-demo-calc", { ...row, PurchaseOption: "All Upfront" }), [0, 3000]);
+    assert.deepEqual(await price(cache, "elasticache-demo-calc", { ...row, PurchaseOption: "Partial Upfront" }), [109.5, 1350]);
+  });
+});
+
+describe("data transfer pricing", () => {
+  const def = {
+    serviceCode: "transferDemo",
+    templates: [{
+      id: "template_0",
+      cards: [{
+        inputSection: {
+          components: [
+            { id: "dataTransfer", type: "dataTransferV2", subType: "dataTransferV2", mappingDefinitionName: "transferPricing" },
+          ],
+        },
+        mathsSection: [{ components: [{ subType: "priceDisplay", subTotalRefer: "dataTransfer", costType: "Monthly" }] }],
+      }],
+    }],
+  };
+  function entries(list) {
+    const map = {};
+    for (const [unit, price, attrs] of list) {
+      map[unit] = price;
+      if (attrs) map[`__attr__${unit}`] = { price: String(price), ...attrs };
+    }
+    return map;
+  }
+  const ranged = entries([
+    ["DataTransfer Out to Internet First 10TB", 0.09, { transferType: "AWS Outbound", beginRange: "0", endRange: "10240" }],
+    ["DataTransfer Out to Internet Next 40TB", 0.085, { transferType: "AWS Outbound", beginRange: "10240", endRange: "51200" }],
+    ["DataTransfer Out to Internet Next 100TB", 0.07, { transferType: "AWS Outbound", beginRange: "51200", endRange: "153600" }],
+    ["DataTransfer Out to Internet Over 150TB", 0.05, { transferType: "AWS Outbound", beginRange: "153600", endRange: "Inf" }],
+    ["DataTransfer In from Internet", 0, { transferType: "AWS Inbound", beginRange: "0", endRange: "Inf" }],
+    ["InterRegion Outbound to EU (Ireland)", 0.02, { transferType: "InterRegion Outbound", toRegionCode: "eu-west-1", beginRange: "0", endRange: "Inf" }],
+    ["InterRegion Outbound to Asia Pacific (Tokyo)", 0.09, { transferType: "InterRegion Outbound", toLocation: "Asia Pacific (Tokyo)", beginRange: "0", endRange: "Inf" }],
+    ["IntraRegion", 0.01, { transferType: "IntraRegion", beginRange: "0", endRange: "Inf" }],
+  ]);
+  const cents = (n) => Math.round(n * 100) / 100;
+
+  async function price(dataTransfer, priceMap = ranged) {
+    const result = await calculateServiceCostFromDefinition(def, "us-east-1", { dataTransfer }, "template_0", { transferPricing: priceMap });
+    return cents(result.monthly);
+  }
+
+  it("should price outbound transfer through the tier ranges in the pricing data", async () => {
+    assert.equal(await price({ outbound: { value: 60, unit: "TB per month" } }), 5120);
+    assert.equal(await price(100), 9);
+  });
+
+  it("should price inbound, intra-region and per-destination inter-region flows", async () => {
+    assert.equal(await price({
+      inbound: 500,
+      outbound: 100,
+      intraRegion: { value: 1, unit: "TB" },
+      interRegion: [{ region: "eu-west-1", value: 200 }, { region: "ap-northeast-1", value: 100 }],
+    }), 32.24);
+    assert.equal(await price({ interRegion: { "eu-west-1": { value: 1, unit: "TB" } } }), 20.48);
+  });
+
+  it("should accept a list of transfer rows", async () => {
+    assert.equal(await price([{ type: "Inter-Region", destination: "eu-west-1", value: 1, unit: "TB" }, { type: "internet", value: 50 }]), 24.98);
+  });
+
+  it("should report transfer without tier ranges as missing pricing instead of guessing tiers", async () => {
+    const legacy = { "External Outbound First 10TB": 0.09, "External Outbound Next 40TB": 0.085 };
+    const result = await calculateServiceCostFromDefinition(def, "us-east-1", { dataTransfer: { value: 20, unit: "TB" } }, "template_0", { transferPricing: legacy });
+    assert.equal(result.monthly, 0);
+    assert.deepEqual(result.warnings, ["No pricing in US East (N. Virginia) for 20480 GB outbound data transfer (outbound prices have no tier ranges); it is not included in the cost"]);
+  });
+
+  it("should report an inter-region destination without prices", async () => {
+    const result = await calculateServiceCostFromDefinition(def, "us-east-1", { dataTransfer: { outbound: 100, interRegion: { "sa-east-1": 50 } } }, "template_0", { transferPricing: ranged });
+    assert.equal(cents(result.monthly), 9);
+    assert.deepEqual(result.warnings, ["No pricing in US East (N. Virginia) for 50 GB interRegion data transfer to sa-east-1 (no interRegion prices to sa-east-1); it is not included in the cost"]);
+  });
+
+  it("should not count other outbound entries as internet egress", async () => {
+    const withCloudFront = { ...ranged, ...entries([["CloudFront Outbound", 0.5, { transferType: "CloudFront Outbound", beginRange: "0", endRange: "Inf" }]]) };
+    assert.equal(await price(100, withCloudFront), 9);
+  });
+});
+
+describe("support plans", () => {
+  it("should charge the greater of the plan minimum and its percentage tiers", () => {
+    assert.equal(supportCharge("developer", 500).monthly, 29);
+    assert.equal(supportCharge("developer", 2000).monthly, 60);
+    assert.equal(supportCharge("business", 500).monthly, 100);
+    assert.ok(supportCharge("business", 500).minimumApplied);
+    // 10% of 10K + 7% of 70K + 5% of 170K + 3% of 50K
+    assert.equal(Math.round(supportCharge("business", 300000).monthly), 1000 + 4900 + 8500 + 1500);
+    assert.equal(supportCharge("enterpriseOnRamp", 20000).monthly, 5500);
+    assert.equal(supportCharge("enterpriseOnRamp", 80000).monthly, 8000);
+    assert.equal(supportCharge("enterprise", 100000).monthly, 15000);
+    // 10% of 150K + 7% of 350K + 5% of 500K + 3% of 1M
+    assert.equal(Math.round(supportCharge("enterprise", 2000000).monthly), 15000 + 24500 + 25000 + 30000);
+  });
+
+  it("should recharge support on the new total when an estimate is updated", async () => {
+    const data = {
+      name: "Supported",
+      metaData: { currency: "USD" },
+      services: { "svc-1": { serviceCode: "demo", serviceName: "Demo", region: "us-east-1", serviceCost: { monthly: 20000, upfront: 500 } } },
+      groups: {},
+      support: { supportPlan: "business", serviceName: "AWS Support (Business)", serviceCost: { monthly: 1000, upfront: 0 } },
+      totalCost: { monthly: 11000, upfront: 500 },
+    };
+    const { payload } = await applyEstimateUpdate(data, { name: "Supported v2" });
+    assert.equal(Math.round(payload.support.serviceCost.monthly), 1700);
+    assert.match(payload.support.configSummary, /^Business support on \$20000\.00 monthly AWS charges: greater of \$100\.00 or 10% of \$0\.00–\$10000\.00, 7% of/);
+    assert.equal(Math.round(payload.totalCost.monthly), 21700);
+    assert.equal(payload.totalCost.upfront, 500);
+    assert.deepEqual(payload.groupSubtotal, { monthly: 20000, upfront: 500 });
+  });
+
+  it("should reject support plans on non-USD estimates", async () => {
+    await assert.rejects(
+      createEstimate({ name: "Euro", currency: "EUR", services: [], supportPlan: "business" }),
+      /supportPlan is only available for USD estimates .* this estimate is in EUR/,
+    );
+  });
+
+  it("should drop a saved support plan instead of recharging it in another currency", async () => {
+    const data = {
+      name: "Euro",
+      metaData: { currency: "EUR" },
+      services: { "svc-1": { serviceCode: "demo", serviceName: "Demo", region: "us-east-1", serviceCost: { monthly: 200, upfront: 0 } } },
+      groups: {},
+      support: { supportPlan: "business", serviceName: "AWS Support (Business)", serviceCost: { monthly: 100, upfront: 0 } },
+      totalCost: { monthly: 300, upfront: 0 },
+    };
+    const { payload, warnings } = await applyEstimateUpdate(data, {});
+    assert.deepEqual(payload.support, {});
+    assert.deepEqual(payload.totalCost, { monthly: 200, upfront: 0 });
+    assert.match(warnings.join("\n"), /AWS Support \(Business\) was removed/);
+  });
+
+  it("should list the support charge as its own line in exports and reports", () => {
+    const data = {
+      name: "Supported",
+      metaData: { currency: "USD" },
+      services: { "svc-1": { serviceCode: "demo", serviceName: "Demo", region: "us-east-1", serviceCost: { monthly: 500, upfront: 0 } } },
+      groups: {},
+      support: { supportPlan: "business", serviceName: "AWS Support (Business)", configSummary: "Business support", serviceCost: { monthly: 100, upfront: 0 } },
+      totalCost: { monthly: 600, upfront: 0 },
+    };
+    const report = normalizeEstimate(data);
+    assert.deepEqual(report.support, { serviceName: "AWS Support (Business)", supportPlan: "business", configSummary: "Business support", monthly: 100, upfront: 0, twelveMonth: 1200 });
+    const rows = estimateToCsv(report).trim().split("\r\n").slice(1);
+    assert.equal(rows.length, 2);
+    assert.equal(rows[1], ",AWS Support (Business),,Business support,100.00,0.00,1200.00");
+    const monthlyColumn = rows.map((row) => Number(row.split(",").at(-3)));
+    assert.equal(monthlyColumn.reduce((a, b) => a + b, 0), report.totals.monthly);
+    assert.match(estimateToMarkdown(report), /\| AWS Support \(Business\) \| — \| \$100\.00 \|/);
+    assert.match(estimateToHtml(report), /<h3>AWS Support \(Business\)<\/h3>/);
+  });
+
+  // Not recorded from calculator.aws: this mirrors the support section createEstimate saves, since no estimate
+  // with support saved from the calculator.aws UI was available. Replace it with a recording once one is.
+  const savedWithSupport = {
+    name: "Supported workload",
+    services: {
+      "amazonEC2-0b6f8a52-4c1e-4f7b-9d0a-2e5c3b7a1f90": {
+        serviceCode: "amazonEC2",
+        serviceName: "Amazon EC2",
+        region: "us-east-1",
+        regionName: "US East (N. Virginia)",
+        templateId: "ec2Enhancement",
+        description: "Web tier",
+        configSummary: "20 x m6i.4xlarge, 1-year reserved, partial upfront",
+        calculationComponents: {},
+        serviceCost: { monthly: 20000, upfront: 1200 },
+      },
+    },
+    groups: {},
+    groupSubtotal: { monthly: 20000, upfront: 1200 },
+    totalCost: { monthly: 21700, upfront: 1200 },
+    support: {
+      supportPlan: "business",
+      serviceName: "AWS Support (Business)",
+      serviceCost: { monthly: 1700, upfront: 0 },
+      configSummary: "Business support on $20000.00 monthly AWS charges: greater of $100.00 or 10% of $0.00–$10000.00, 7% of $10000.00–$80000.00, 5% of $80000.00–$250000.00, 3% of spend over $250000.00",
+    },
+    metaData: { locale: "en_US", currency: "USD", createdOn: "2026-03-02T09:15:00.000Z", source: "calculator-platform" },
+  };
+
+  it("should round-trip a saved estimate with support through load, report and update", async (t) => {
+    configureDiskCache({ enabled: false });
+    configureHttp({ retries: 0 });
+    t.after(() => configureHttp({ retries: 3 }));
+    t.mock.method(globalThis, "fetch", async (url) => (url.endsWith("/fixture-support-1")
+      ? new Response(JSON.stringify(savedWithSupport))
+      : new Response("not found", { status: 404 })));
+
+    const { id, data } = await loadEstimate("https://calculator.aws/#/estimate?id=fixture-support-1");
+    assert.equal(id, "fixture-support-1");
+    assert.deepEqual(data, savedWithSupport);
+    assert.match(formatLoadedEstimate(data), /\nSupport: AWS Support \(Business\): \$1700\.00\/mo$/);
+
+    const report = normalizeEstimate(data);
+    assert.deepEqual(report.support, {
+      serviceName: "AWS Support (Business)",
+      supportPlan: "business",
+      configSummary: savedWithSupport.support.configSummary,
+      monthly: 1700,
+      upfront: 0,
+      twelveMonth: 20400,
+    });
+    assert.deepEqual(report.totals, { monthly: 21700, upfront: 1200, twelveMonth: 21700 * 12 + 1200 });
+
+    // Upfront fees are not support spend, so recharging gives back the saved section unchanged
+    const { payload } = await applyEstimateUpdate(data, {});
+    assert.deepEqual(payload.support, savedWithSupport.support);
+    assert.deepEqual(payload.totalCost, savedWithSupport.totalCost);
+  });
+});
+
+describe("nested groups", () => {
+  function offline(t) {
+    configureDiskCache({ enabled: false });
+    configureHttp({ retries: 0 });
+    t.after(() => configureHttp({ retries: 3 }));
+    t.mock.method(globalThis, "fetch", async () => { throw new Error("offline"); });
+  }
+
+  const estimate = () => ({
+    name: "Platform",
+    services: {
+      "aWSLambda-1": { serviceCode: "aWSLambda", serviceName: "AWS Lambda", region: "us-east-1", calculationComponents: {}, serviceCost: { monthly: 10, upfront: 0 } },
+    },
+    groups: {},
+    totalCost: { monthly: 10, upfront: 0 },
+    metaData: { currency: "USD", locale: "en_US" },
+  });
+
+  it("should create nested groups from paths with a subtotal at every level", async (t) => {
+    offline(t);
+    const { payload } = await applyEstimateUpdate(estimate(), {
+      add: [
+        { serviceCode: "amazonS3", serviceName: "Amazon S3", region: "us-east-1", monthlyCost: 4, upfrontCost: 1, group: "prod/web/frontend" },
+        { serviceCode: "amazonSQS", serviceName: "Amazon SQS", region: "us-east-1", monthlyCost: 3, upfrontCost: 0, group: " prod / web " },
+      ],
+      modify: [{ service: "AWS Lambda", monthlyCost: 10, group: "prod" }],
+    });
+    const [prod] = Object.values(payload.groups);
+    assert.equal(prod.name, "prod");
+    assert.deepEqual(prod.groupSubtotal, { monthly: 17, upfront: 1 });
+    const [web] = Object.values(prod.groups);
+    assert.equal(web.name, "web");
+    assert.deepEqual(web.groupSubtotal, { monthly: 7, upfront: 1 });
+    const [frontend] = Object.values(web.groups);
+    assert.equal(frontend.name, "frontend");
+    assert.deepEqual(frontend.groupSubtotal, { monthly: 4, upfront: 1 });
+    assert.equal(frontend.services.length, 1);
+    assert.deepEqual(payload.groupSubtotal, { monthly: 17, upfront: 1 });
+  });
+
+  it("should render the group tree with services, subtotals and ungrouped services", async (t) => {
+    offline(t);
+    const { payload } = await applyEstimateUpdate(estimate(), {
+      add: [{ serviceCode: "amazonS3", serviceName: "Amazon S3", region: "us-east-1", monthlyCost: 4, upfrontCost: 0, group: "prod/web" }],
+    });
+    const summary = formatLoadedEstimate(payload);
+    const tree = summary.slice(summary.indexOf("Groups:"));
+    assert.match(tree, /^ {2}📁 prod: \$4\.00\/mo$/m);
+    assert.match(tree, /^ {4}📁 web: \$4\.00\/mo$/m);
+    assert.match(tree, /^ {6}• Amazon S3 \(US East \(N\. Virginia\)\): \$4\.00\/mo/m);
+    assert.match(summary, /Ungrouped services:\n.*AWS Lambda/);
+  });
+
+  it("should list parent paths in exported group subtotals", () => {
+    const data = {
+      ...estimate(),
+      services: {
+        ...estimate().services,
+        "amazonS3-1": { serviceCode: "amazonS3", serviceName: "Amazon S3", region: "us-east-1", serviceCost: { monthly: 4, upfront: 0 } },
+      },
+      groups: { "group-1": { name: "prod", services: ["aWSLambda-1"], groups: { "group-2": { name: "web", services: ["amazonS3-1"], groups: {} } } } },
+    };
+    const markdown = estimateToMarkdown(normalizeEstimate(data));
+    const rows = markdown.split("\n").filter((line) => /^\| prod/.test(line));
+    assert.equal(rows.length, 2);
+    assert.match(rows[0], /^\| prod \| 2 \| \$14\.00/);
+    assert.match(rows[1], /^\| prod\/web \| 1 \| \$4\.00/);
+    assert.match(markdown, /Group: prod\/web/);
+  });
+});
+
+describe("subService pricing", () => {
+  const definition = (serviceCode, serviceName, unit, subServices) => ({
+    serviceCode,
+    serviceName,
+    ...(subServices && { subServices }),
+    mappingDefinitions: [{ mappingDefinitionName: "bundlePricing", mappingDefinitionURL: "pricing/2.0/meteredUnitMaps/bundle/[currency]/current/bundle.json" }],
+    templates: [{
+      id: `${serviceCode}Template`,
+      cards: [{
+        inputSection: {
+          components: [
+            { id: "qty", type: "numericInput", defaultValue: 1 },
+            { id: "unitPrice", type: "pricing", subType: "singlePricePoint", mappingDefinitionName: "bundlePricing", meteredUnit: { allRegions: unit } },
+          ],
+        },
+        mathsSection: [{
+          components: [
+            { id: "subtotal", subType: "basicMaths", operation: "multiplication", operands: [{ variableId: "qty" }, { variableId: "unitPrice" }] },
+            { subType: "priceDisplay", subTotalRefer: "subtotal", costType: "Monthly" },
+          ],
+        }],
+      }],
+    }],
+  });
+  const defs = {
+    bundle: definition("bundle", "Bundle", "Base", [{ serviceCode: "bundleCompute" }, { serviceCode: "bundleStorage" }]),
+    bundleCompute: definition("bundleCompute", "Bundle Compute", "Compute"),
+    bundleStorage: definition("bundleStorage", "Bundle Storage", "Storage"),
+  };
+  const manifest = { awsServices: [{ name: "Bundle", serviceCode: "bundle", regions: ["us-east-1"] }] };
+
+  function serve(t) {
+    configureDiskCache({ enabled: false });
+    configureHttp({ retries: 0 });
+    t.after(() => configureHttp({ retries: 3 }));
+    t.mock.method(globalThis, "fetch", async (url) => {
+      if (url.includes("/manifest/ja_JP.json")) return new Response(JSON.stringify(manifest));
+      const code = url.match(/\/data\/(\w+)\//)?.[1];
+      if (defs[code]) return new Response(JSON.stringify(defs[code]));
+      if (url.includes("/bundle.json")) {
+        return new Response(JSON.stringify({ regions: { "US East (N. Virginia)": { Base: { price: "1" }, Compute: { price: "3" }, Storage: { price: "5" } } } }));
+      }
+      return new Response("not found", { status: 404 });
+    });
+  }
+
+  const estimate = () => ({
+    name: "Bundle",
+    services: {},
+    groups: {},
+    totalCost: { monthly: 0, upfront: 0 },
+    metaData: { currency: "USD", locale: "ja_JP" },
+  });
+  const bundle = { serviceCode: "bundle", serviceName: "Bundle", region: "us-east-1", calculationComponents: { qty: 1 } };
+
+  it("should price each subService with the inputs under its code", async (t) => {
+    serve(t);
+    const result = await calculateServiceCost("bundle", "us-east-1", { qty: 1 }, null, { locale: "ja_JP", subServiceInputs: { bundleCompute: { qty: 2 } } });
+    assert.deepEqual(result.subServices.map((s) => [s.serviceCode, s.monthly]), [["bundleCompute", 6], ["bundleStorage", 5]]);
+    assert.equal(result.monthly, 1 + 6 + 5);
+    assert.deepEqual(result.calculationComponents, { qty: { value: 1 } });
+  });
+
+  it("should save every subService with its inputs and cost, adding up to the service total", async (t) => {
+    serve(t);
+    const { payload } = await applyEstimateUpdate(estimate(), {
+      add: [{ ...bundle, subServices: { bundleCompute: { qty: 2 }, bundleStorage: { qty: 4 } } }],
+    });
+    const [entry] = Object.values(payload.services);
+    assert.deepEqual(entry.subServices.map((s) => [s.serviceCode, s.calculationComponents.qty.value, s.serviceCost.monthly]), [["bundleCompute", 2, 6], ["bundleStorage", 4, 20]]);
+    assert.equal(entry.serviceCost.monthly, 27);
+    assert.equal(payload.totalCost.monthly, 27);
+  });
+
+  it("should merge modified subService inputs over the saved ones", async (t) => {
+    serve(t);
+    const { payload: created } = await applyEstimateUpdate(estimate(), {
+      add: [{ ...bundle, subServices: { bundleCompute: { qty: 2 }, bundleStorage: { qty: 4 } } }],
+    });
+    const { payload } = await applyEstimateUpdate(created, { modify: [{ service: "Bundle", subServices: { bundleStorage: { qty: 1 } } }] });
+    const [entry] = Object.values(payload.services);
+    assert.deepEqual(entry.subServices.map((s) => s.serviceCost.monthly), [6, 5]);
+    assert.equal(entry.serviceCost.monthly, 12);
+  });
+
+  it("should resolve subService inputs in estimate specs", async (t) => {
+    serve(t);
+    const spec = [
+      "name: Bundle",
+      "locale: ja_JP",
+      "services:",
+      "  - serviceCode: bundle",
+      "    subServices:",
+      "      bundleStorage:",
+      "        qty: 3",
+      "      bundleDisk:",
+      "        qty: 1",
+    ].join("\n");
+    await assert.rejects(specToEstimate(spec), /services\[0\]\.subServices\.bundleDisk: not a subService of Bundle/);
+    const { services } = await specToEstimate(spec.split("\n").slice(0, -2).join("\n"));
+    assert.deepEqual(services[0].subServices, { bundleStorage: { qty: 3 } });
+  });
+
+  it("should reject unknown subServices and invalid subService inputs before saving", async (t) => {
+    serve(t);
+    await assert.rejects(
+      applyEstimateUpdate(estimate(), { add: [{ ...bundle, subServices: { bundleDisk: { qty: 1 }, bundleStorage: { size: 1 } } }] }),
+      (err) => {
+        assert.match(err.message, /subServices\.bundleDisk: Not a subService of Bundle \(expected one of: bundleCompute, bundleStorage\)/);
+        assert.match(err.message, /subServices\.bundleStorage\.size: Unknown field 'size'/);
+        return true;
+      },
+    );
+  });
+});